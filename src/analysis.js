@@ -0,0 +1,166 @@
+// Offline review analysis: sentiment, intent and tone suggestions.
+
+const { cleanText, normalizeRating } = require("./text");
+const { round2 } = require("./language");
+
+// ---------- REVIEW ANALYSIS ----------
+// The star rating alone is not enough: a 5-star "wrong size sent" is a complaint. Like the
+// language detector this is offline and rule-based — sentiment from weighted word lists
+// (with simple negation), intents from phrase patterns. Latin-script words match on word
+// boundaries; Thai and Chinese phrases match as substrings.
+const SENTIMENT_WORDS = {
+  positive:
+    "good great nice love loved excellent perfect fast legit recommended recommend happy satisfied thanks thank " +
+    "maganda ganda ayos sulit salamat solid bagus mantap puas cepat suka đẹp tốt nhanh thích",
+  negative:
+    "bad poor broken damaged wrong late slow defective fake scam worst disappointed disappointing missing cheap useless " +
+    "sira mali pangit panget bulok matagal peke kulang jelek rusak lambat kecewa lama salah kém tệ hỏng chậm sai",
+};
+const SENTIMENT_PHRASES = {
+  positive: ["好", "喜欢", "满意", "不错", "ดี", "ชอบ", "สวย", "เร็ว"],
+  negative: ["差", "失望", "坏", "慢", "假", "不好", "ไม่ดี", "ผิดหวัง", "ช้า", "เสีย", "ของปลอม"],
+};
+const NEGATIONS = new Set(["not", "no", "never", "nothing", "hindi", "di", "wala", "walang", "tidak", "bukan", "không", "chẳng"]);
+
+// Checked in order; the first match is the primary intent. "praise" is added afterwards
+// when nothing else matched and the text reads positive. suspected_fake also fires on
+// copy-paste filler (see looksRepetitive). Patterns name problems ("rider never came"), not
+// bare nouns ("rider"), and a match right after a negation ("not broken") does not count.
+const INTENT_RULES = [
+  {
+    id: "suspected_fake",
+    pattern: /https?:\/\/|www\.|\b(visit|follow|check out) (my|our) (shop|store|page)\b|\bpromo code\b|\b09\d{9}\b/i,
+  },
+  {
+    id: "refund_request",
+    pattern: /\b(refund|money back|return (it|this|the item)|ibalik (ang )?pera|pengembalian dana|hoàn tiền|trả hàng)\b|退款|退货|คืนเงิน/i,
+  },
+  {
+    id: "delivery_issue",
+    pattern:
+      /\b(not (yet )?(arrived|received|delivered)|never (arrived|came)|hindi (pa )?(dumating|natanggap)|matagal dumating|late delivery|delivery (was|is) (late|slow|delayed)|delayed|lost (parcel|package)|(rider|courier) (never came|did not come|didn't come|did not deliver|didn't deliver|was rude|is rude)|rude (rider|courier)|belum (sampai|diterima)|giao hàng chậm|chưa nhận)\b|没收到|物流|ยังไม่ได้รับ|ส่งช้า/i,
+  },
+  {
+    id: "complaint",
+    pattern:
+      /\b(wrong (size|item|color|colour|variant)|damaged|broken|defective|missing (items?|parts?|pieces?|accessory|accessories)|(is|are|was|were) missing|sira|mali (ang|yung)|kulang|peke|fake|scam|rusak|salah kirim|hỏng|sai (màu|size))\b|发错|破损|ของไม่ตรง/i,
+  },
+  {
+    id: "stock_question",
+    pattern:
+      /\b(is (it|this|that|the \w+) (still )?(available|in stock)|still (available|in stock)|available (pa|ba)|do you have (stock|this)|may stock|meron pa|restock|ada stok|ready stock|còn hàng)\b|\b(available|in stock)\s*\?|有货|มีของไหม/i,
+    question: true,
+  },
+  {
+    id: "size_question",
+    pattern: /\b(what size|anong size|size chart|sizing|kasya|fit me|will (it|this) fit|ukuran apa|size nào)\b|尺码|ไซส์อะไร/i,
+    question: true,
+  },
+];
+
+const PROBLEM_INTENTS = ["complaint", "delivery_issue", "refund_request"];
+const QUESTION_INTENTS = INTENT_RULES.filter((r) => r.question).map((r) => r.id);
+
+// "good good good good good good" — six or more words, barely any of them distinct.
+function looksRepetitive(text) {
+  const words = String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length >= 6 && new Set(words).size / words.length < 0.35;
+}
+
+function sentimentFromText(text) {
+  const lower = String(text || "").toLowerCase();
+  const words = lower.match(/[\p{L}']+/gu) || [];
+  const tally = { positive: 0, negative: 0 };
+
+  words.forEach((word, i) => {
+    for (const polarity of ["positive", "negative"]) {
+      if (!` ${SENTIMENT_WORDS[polarity]} `.includes(` ${word} `)) continue;
+      const negated = NEGATIONS.has(words[i - 1]) || NEGATIONS.has(words[i - 2]);
+      tally[negated ? (polarity === "positive" ? "negative" : "positive") : polarity]++;
+    }
+  });
+
+  for (const polarity of ["positive", "negative"]) {
+    for (const phrase of SENTIMENT_PHRASES[polarity]) {
+      // "不好" / "ไม่ดี"-style negation is already in the negative list; don't also count 好/ดี.
+      if (polarity === "positive" && SENTIMENT_PHRASES.negative.some((n) => n.includes(phrase) && lower.includes(n))) {
+        continue;
+      }
+      if (lower.includes(phrase)) tally[polarity]++;
+    }
+  }
+
+  return tally;
+}
+
+// True when one of the two words before `index` is a negation: "not broken", "walang sira".
+function negatedAt(text, index) {
+  const before = text.slice(0, index).toLowerCase().match(/[\p{L}']+/gu) || [];
+  return before.slice(-2).some((word) => NEGATIONS.has(word));
+}
+
+function intentMatches(rule, text) {
+  const pattern = new RegExp(rule.pattern.source, `${rule.pattern.flags}g`);
+  return [...text.matchAll(pattern)].some((m) => !negatedAt(text, m.index));
+}
+
+// Returns { sentiment, score, intent, intents, ratingMismatch }. score runs from -1 to 1;
+// with no sentiment words at all it falls back to the rating.
+function analyzeReview(text, rating = null) {
+  const clean = cleanText(text);
+  const r = Number(rating);
+  const hasRating = Number.isFinite(r) && r >= 1 && r <= 5;
+
+  const tally = sentimentFromText(clean);
+  const total = tally.positive + tally.negative;
+  let score = total ? (tally.positive - tally.negative) / total : hasRating ? (r - 3) / 2 : 0;
+
+  const intents = INTENT_RULES.filter((rule) => intentMatches(rule, clean)).map((rule) => rule.id);
+  if (!intents.includes("suspected_fake") && looksRepetitive(clean)) intents.unshift("suspected_fake");
+  // A problem pulls the score down unless the words around it are clearly positive
+  // ("fast delivery, great quality, only the color was wrong").
+  const clearlyPositive = total > 0 && score > 0.2;
+  if (intents.some((id) => PROBLEM_INTENTS.includes(id)) && !clearlyPositive) score = Math.min(score, -0.5);
+
+  const sentiment = score > 0.2 ? "positive" : score < -0.2 ? "negative" : "neutral";
+  if (!intents.length && sentiment === "positive") intents.push("praise");
+
+  const ratingMismatch =
+    hasRating && ((r >= 4 && sentiment === "negative") || (r <= 2 && sentiment === "positive" && total > 0));
+
+  return {
+    sentiment,
+    score: round2(score),
+    intent: intents[0] || "general",
+    intents,
+    ratingMismatch,
+  };
+}
+
+// Tone for requests that did not pick one. Falls back to "professional" when the plan does
+// not include the suggested tone, so an automatic choice never triggers PLAN_REQUIRED.
+function suggestTone(analysis, plan = null) {
+  let tone = "friendly";
+  if (PROBLEM_INTENTS.includes(analysis.intent) || analysis.sentiment === "negative") tone = "apology";
+  else if (QUESTION_INTENTS.includes(analysis.intent) || analysis.intent === "suspected_fake") tone = "professional";
+
+  if (plan && !plan.tones.includes(tone)) return "professional";
+  return tone;
+}
+
+// The rating templateReply should answer: the text wins when it disagrees with the stars.
+function effectiveRating(rating, analysis) {
+  const r = normalizeRating(rating);
+  if (!analysis) return r;
+  if (r >= 3 && PROBLEM_INTENTS.includes(analysis.intent)) return 2;
+  if (analysis.ratingMismatch) return analysis.sentiment === "negative" ? 2 : 3;
+  return r;
+}
+
+module.exports = {
+  PROBLEM_INTENTS,
+  QUESTION_INTENTS,
+  analyzeReview,
+  suggestTone,
+  effectiveRating,
+};
@@ -0,0 +1,37 @@
+// createApp() builds the Express app with every route mounted but does not listen, seed
+// users or resume jobs; server.js does that. Tests can hand the app straight to supertest.
+
+const express = require("express");
+const cors = require("cors");
+
+const { parseTrustProxy } = require("./config");
+const { requestLogger } = require("./observability");
+const { limitByIp } = require("./rate-limit");
+
+function createApp() {
+  const app = express();
+
+  // ---------- APP SETTINGS ----------
+  app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+  app.use(cors());
+  app.use(express.json({ limit: "1mb" }));
+  app.use(requestLogger);
+
+  app.use(["/api", "/admin"], limitByIp);
+
+  // ---------- ROUTES ----------
+  app.use(require("./routes/status"));
+  app.use(require("./routes/replies"));
+  app.use(require("./routes/jobs"));
+  app.use(require("./routes/csv"));
+  app.use(require("./routes/profiles"));
+  app.use(require("./routes/products"));
+  app.use(require("./routes/history"));
+  app.use(require("./routes/ingestion"));
+  app.use(require("./routes/drafts"));
+  app.use("/admin", require("./routes/admin"));
+
+  return app;
+}
+
+module.exports = { createApp };
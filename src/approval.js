@@ -0,0 +1,182 @@
+// Draft approval: transitions, auto-approve rules and posting adapters.
+
+const path = require("path");
+const crypto = require("crypto");
+
+const { ROOT_DIR } = require("./config");
+const { logEvent, metrics } = require("./observability");
+const { RECORD_STORE, createRecordStore } = require("./stores");
+const { cleanText, normalizeLanguageName, normalizePlatform, normalizeRating } = require("./text");
+const { getOwnProduct, guardrailAllowances } = require("./products");
+const { validateReply } = require("./polishing");
+const { REVIEW_CONNECTORS, connectorStore, draftStore, reviewStore } = require("./marketplace");
+
+// ---------- DRAFT APPROVAL ----------
+// Drafts move through: draft -> edited -> approved -> posting -> posted, or -> rejected at any
+// point before posting. Only approved drafts are sent back to the marketplace. "posting" is
+// set before the adapter is called, so a second post (a double click, or the seller racing an
+// auto-post rule) gets 409 instead of replying twice. A post that fails leaves the draft
+// approved with postError set, so it can simply be posted again.
+const APPROVAL_RULES_STORE_PATH =
+  process.env.APPROVAL_RULES_STORE_PATH || path.join(ROOT_DIR, "data", "approval-rules.json");
+const MAX_APPROVAL_RULES = 10;
+const BULK_MAX_DRAFTS = Number(process.env.BULK_MAX_DRAFTS) || 100;
+// "marketplace" posts through the platform connector; "fake" only records the reply in
+// memory (GET /admin/fake-posts) for local runs and tests.
+const POSTING_ADAPTER = String(process.env.POSTING_ADAPTER || "marketplace").trim().toLowerCase();
+
+const approvalRuleStore = createRecordStore(RECORD_STORE, APPROVAL_RULES_STORE_PATH, "approvalRules");
+
+// Transitions each action may start from.
+const DRAFT_TRANSITIONS = {
+  edit: ["draft", "edited", "approved"],
+  approve: ["draft", "edited"],
+  reject: ["draft", "edited", "approved"],
+  post: ["approved"],
+};
+// Actions applyDraftAction takes; editing has its own route.
+const DRAFT_ACTIONS = ["approve", "reject", "post"];
+
+// Every posting adapter implements postReply(draft) -> { externalId } and throws on failure.
+const fakePosts = [];
+const POSTING_ADAPTERS = {
+  marketplace: {
+    async postReply(draft) {
+      const connector = connectorStore.get(`${draft.userId}/${draft.platform}`);
+      if (!connector) throw new Error(`No ${draft.platform} connector saved for this account.`);
+      return REVIEW_CONNECTORS[draft.platform].postReply(connector, draft);
+    },
+  },
+  fake: {
+    async postReply(draft) {
+      const externalId = `fake_${crypto.randomBytes(4).toString("hex")}`;
+      fakePosts.push({ externalId, draftId: draft.id, platform: draft.platform, reviewId: draft.reviewId, reply: draft.reply });
+      return { externalId };
+    },
+  },
+};
+
+function getPostingAdapter() {
+  return POSTING_ADAPTERS[POSTING_ADAPTER] || POSTING_ADAPTERS.marketplace;
+}
+
+// Posts the stored draft if it is still approved; otherwise returns it unchanged.
+async function postDraft(draft) {
+  const current = draftStore.get(draft.id);
+  if (current?.status !== "approved") return current;
+  draftStore.upsert(draft.id, { status: "posting" });
+  try {
+    const { externalId } = await getPostingAdapter().postReply(current);
+    const posted = draftStore.upsert(draft.id, {
+      status: "posted",
+      postedAt: new Date().toISOString(),
+      externalId,
+      postError: null,
+    });
+    reviewStore.upsert(draft.reviewKey, { status: "posted" });
+    metrics.draftsPosted.inc({ platform: draft.platform, outcome: "ok" });
+    logEvent("info", "draft_posted", { draftId: draft.id, platform: draft.platform, externalId });
+    return posted;
+  } catch (err) {
+    metrics.draftsPosted.inc({ platform: draft.platform, outcome: "error" });
+    logEvent("warn", "draft_post_failed", { draftId: draft.id, platform: draft.platform, message: err?.message || String(err) });
+    return draftStore.upsert(draft.id, { status: "approved", postError: err?.message || String(err) });
+  }
+}
+
+// A rule matches when every filter it sets matches. Filters: minRating, languages,
+// sentiments, intents, platforms. Regardless of filters, auto-approval needs a reply that
+// passes validateReply and did not come from the fixed template.
+function normalizeApprovalRule(rule) {
+  const list = (v) => (Array.isArray(v) ? v.map((x) => cleanText(x).toLowerCase()).filter(Boolean) : []);
+  const minRating = rule?.minRating === undefined ? null : normalizeRating(rule.minRating);
+  return {
+    name: cleanText(rule?.name).slice(0, 60) || "rule",
+    minRating,
+    languages: list(rule?.languages).map(normalizeLanguageName),
+    sentiments: list(rule?.sentiments),
+    intents: list(rule?.intents),
+    platforms: list(rule?.platforms).map(normalizePlatform),
+    autoPost: rule?.autoPost === true,
+  };
+}
+
+function approvalRuleMatches(rule, draft) {
+  if (rule.minRating !== null && !(draft.rating >= rule.minRating)) return false;
+  if (rule.languages.length && !rule.languages.includes(draft.language)) return false;
+  if (rule.sentiments.length && !rule.sentiments.includes(draft.analysis?.sentiment)) return false;
+  if (rule.intents.length && !rule.intents.includes(draft.analysis?.intent)) return false;
+  if (rule.platforms.length && !rule.platforms.includes(draft.platform)) return false;
+  return true;
+}
+
+// Called once per new draft from the ingestion queue.
+async function applyAutoApproval(draft) {
+  const rules = approvalRuleStore.get(draft.userId)?.rules || [];
+  if (!rules.length || draft.engine === "template") return draft;
+  if (!validateReply(draft.reply, guardrailAllowances(getOwnProduct(draft.userId, draft.productId))).ok) return draft;
+
+  const rule = rules.find((r) => approvalRuleMatches(r, draft));
+  if (!rule) return draft;
+
+  const approved = draftStore.upsert(draft.id, {
+    status: "approved",
+    approvedAt: new Date().toISOString(),
+    approvedBy: `rule:${rule.name}`,
+  });
+  logEvent("info", "draft_auto_approved", { draftId: draft.id, rule: rule.name, autoPost: rule.autoPost });
+  return rule.autoPost ? postDraft(approved) : approved;
+}
+
+function findOwnDraft(userId, id) {
+  const draft = draftStore.get(String(id || ""));
+  return draft && draft.userId === userId ? draft : null;
+}
+
+function transitionError(draft, action) {
+  return {
+    error: "INVALID_STATUS",
+    details: `Cannot ${action} a draft that is ${draft.status}.`,
+    status: draft.status,
+  };
+}
+
+// Applies approve/reject/post to one draft; returns { draft } or { status, error }.
+async function applyDraftAction(userId, id, action, { reason, post = false } = {}) {
+  if (!DRAFT_ACTIONS.includes(action)) {
+    return { status: 400, error: { error: "BAD_REQUEST", details: "action must be approve, reject or post" } };
+  }
+  const draft = findOwnDraft(userId, id);
+  if (!draft) return { status: 404, error: { error: "DRAFT_NOT_FOUND", details: "Unknown draft." } };
+  if (!DRAFT_TRANSITIONS[action].includes(draft.status)) return { status: 409, error: transitionError(draft, action) };
+
+  const now = new Date().toISOString();
+  if (action === "reject") {
+    const rejected = draftStore.upsert(draft.id, { status: "rejected", rejectedAt: now, rejectReason: cleanText(reason) });
+    reviewStore.upsert(draft.reviewKey, { status: "rejected" });
+    return { draft: rejected };
+  }
+
+  let current = draft;
+  if (action === "approve") {
+    current = draftStore.upsert(draft.id, { status: "approved", approvedAt: now, approvedBy: "seller", postError: null });
+  }
+  if (action === "post" || post) current = await postDraft(current);
+  return { draft: current };
+}
+
+module.exports = {
+  MAX_APPROVAL_RULES,
+  BULK_MAX_DRAFTS,
+  POSTING_ADAPTER,
+  approvalRuleStore,
+  DRAFT_TRANSITIONS,
+  DRAFT_ACTIONS,
+  POSTING_ADAPTERS,
+  fakePosts,
+  normalizeApprovalRule,
+  applyAutoApproval,
+  findOwnDraft,
+  transitionError,
+  applyDraftAction,
+};
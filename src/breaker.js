@@ -0,0 +1,187 @@
+// Circuit breakers and timeouts around every provider call.
+
+const { createGauge, logEvent, metrics } = require("./observability");
+
+// ---------- CIRCUIT BREAKER ----------
+// One entry per registered provider (see PROVIDER REGISTRY in providers.js):
+//   closed    — calls go through; failures inside BREAKER_WINDOW_MS are counted
+//   open      — calls are refused until downUntil
+//   half_open — downUntil has passed; exactly one trial call goes through. Success closes
+//               the breaker, failure reopens it with twice the previous cooldown.
+// How a failure counts depends on its kind (classifyProviderError). Timeouts and generic
+// errors need BREAKER_FAILURE_THRESHOLD hits in the window; quota errors open at once, and
+// auth errors / unknown models open at once for the longest cooldown, since retrying
+// cannot fix a bad key or model name.
+const BREAKER_FAILURE_THRESHOLD = Number(process.env.BREAKER_FAILURE_THRESHOLD) || 3;
+const BREAKER_WINDOW_MS = Number(process.env.BREAKER_WINDOW_MS) || 60 * 1000;
+const BREAKER_BASE_COOLDOWN_MS = Number(process.env.BREAKER_BASE_COOLDOWN_MS) || 30 * 1000;
+const BREAKER_MAX_COOLDOWN_MS = Number(process.env.BREAKER_MAX_COOLDOWN_MS) || 30 * 60 * 1000;
+const PROVIDER_TIMEOUT_MS = Number(process.env.PROVIDER_TIMEOUT_MS) || 20 * 1000;
+
+const BREAKER_POLICIES = {
+  auth: { tripImmediately: true, baseCooldownMs: BREAKER_MAX_COOLDOWN_MS },
+  bad_model: { tripImmediately: true, baseCooldownMs: BREAKER_MAX_COOLDOWN_MS },
+  quota: { tripImmediately: true, baseCooldownMs: BREAKER_BASE_COOLDOWN_MS * 10 },
+  timeout: { tripImmediately: false, baseCooldownMs: BREAKER_BASE_COOLDOWN_MS },
+  error: { tripImmediately: false, baseCooldownMs: BREAKER_BASE_COOLDOWN_MS },
+};
+
+const breaker = {};
+
+function newBreaker() {
+  return { state: "closed", failures: [], trips: 0, downUntil: 0, probing: false, lastError: null };
+}
+
+// "half_open" is derived: an open breaker whose cooldown has run out.
+function breakerState(name) {
+  const b = breaker[name];
+  if (!b || b.state === "closed") return "closed";
+  return Date.now() < b.downUntil ? "open" : "half_open";
+}
+
+function isDown(name) {
+  return breakerState(name) !== "closed";
+}
+
+// What /status and the admin API show: the stored entry with the derived state.
+function breakerView() {
+  return Object.fromEntries(
+    Object.entries(breaker).map(([name, b]) => [name, { ...b, state: breakerState(name), failures: b.failures.length }])
+  );
+}
+
+createGauge("replypilot_breaker_open", "1 while the provider's circuit breaker is open.", () =>
+  Object.keys(breaker).map((name) => ({ labels: [["provider", name]], value: isDown(name) ? 1 : 0 }))
+);
+
+function markOk(name) {
+  Object.assign(breaker[name], newBreaker());
+}
+
+function openBreaker(name, kind, cooldownMs) {
+  const b = breaker[name];
+  b.state = "open";
+  b.downUntil = Date.now() + cooldownMs;
+  b.failures = [];
+  b.trips++;
+  metrics.breakerTrips.inc({ provider: name, reason: kind });
+  logEvent(kind === "auth" || kind === "bad_model" ? "error" : "warn", "breaker_open", {
+    provider: name,
+    reason: kind,
+    trips: b.trips,
+    cooldownMs,
+  });
+}
+
+function markFail(name, kind = "error") {
+  const b = breaker[name];
+  const policy = BREAKER_POLICIES[kind] || BREAKER_POLICIES.error;
+  const now = Date.now();
+  const cooldown = () => Math.min(BREAKER_MAX_COOLDOWN_MS, policy.baseCooldownMs * 2 ** b.trips);
+
+  // A failed trial call reopens straight away, with the cooldown doubled by trips. Calls
+  // that started before the breaker opened and fail afterwards change nothing.
+  if (b.state === "open") {
+    if (now < b.downUntil) return;
+    return openBreaker(name, kind, cooldown());
+  }
+
+  b.failures = b.failures.filter((t) => now - t < BREAKER_WINDOW_MS);
+  b.failures.push(now);
+  if (policy.tripImmediately || b.failures.length >= BREAKER_FAILURE_THRESHOLD) {
+    openBreaker(name, kind, cooldown());
+  }
+}
+
+// Matched as whole phrases: Gemini messages carry the request URL
+// (".../models/gemini-2.0-flash:generateContent"), so a bare "rate" would match every one.
+function isQuotaLikeError(err) {
+  const msg = String(err?.message || err || "").toLowerCase();
+  const code = err?.status || err?.code || err?.response?.status;
+
+  return code === 429 || code === 403 || /\brate.?limit|quota|too many requests|resource.?exhausted|billing/.test(msg);
+}
+
+// timeout | bad_model | auth | quota | error. A 5xx is a plain error whatever its message
+// says ("model is overloaded"), so it counts toward the threshold instead of tripping at once.
+function classifyProviderError(err) {
+  const msg = String(err?.message || err || "").toLowerCase();
+  const code = err?.status || err?.response?.status;
+
+  if (err?._timeout || err?.name === "AbortError" || /timed? ?out|etimedout/.test(msg)) return "timeout";
+  if (code >= 500) return "error";
+  if (code === 404 || /model.*(not found|does not exist|decommissioned|not supported)|unknown model/.test(msg)) {
+    return "bad_model";
+  }
+  if (code === 401 || /api key|api_key|unauthori[sz]ed|permission denied|invalid authentication/.test(msg)) {
+    return "auth";
+  }
+  if (isQuotaLikeError(err)) return "quota";
+  return "error";
+}
+
+// Rejects after ms and aborts the provider's HTTP request through its AbortSignal, so a
+// hanging request cannot hold the route (or a batch slot) open.
+function withTimeout(providerName, ms, fn) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const e = new Error(`${providerName} timed out after ${ms}ms`);
+      e._timeout = true;
+      controller.abort(e);
+      reject(e);
+    }, ms);
+  });
+
+  return Promise.race([fn(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+// fn receives an AbortSignal that fires on timeout.
+async function safeCall(providerName, fn) {
+  const b = breaker[providerName];
+  const state = breakerState(providerName);
+  if (state === "open" || (state === "half_open" && b.probing)) {
+    metrics.providerCalls.inc({ provider: providerName, outcome: "skipped" });
+    const e = new Error(`${providerName} temporarily disabled by circuit breaker`);
+    e._breaker = true;
+    throw e;
+  }
+
+  const probe = state === "half_open";
+  if (probe) b.probing = true;
+
+  const started = process.hrtime.bigint();
+  const observe = (outcome) => {
+    metrics.providerCalls.inc({ provider: providerName, outcome });
+    metrics.providerLatency.observe(
+      { provider: providerName, outcome },
+      Number(process.hrtime.bigint() - started) / 1e9
+    );
+  };
+
+  try {
+    const result = await withTimeout(providerName, PROVIDER_TIMEOUT_MS, fn);
+    observe("ok");
+    if (probe || b.failures.length) markOk(providerName);
+    return result;
+  } catch (err) {
+    const kind = classifyProviderError(err);
+    observe(kind);
+    b.lastError = { kind, message: String(err?.message || err).slice(0, 200), at: new Date().toISOString() };
+    markFail(providerName, kind);
+    throw err;
+  } finally {
+    if (probe) b.probing = false;
+  }
+}
+
+module.exports = {
+  breaker,
+  classifyProviderError,
+  PROVIDER_TIMEOUT_MS,
+  newBreaker,
+  breakerView,
+  markOk,
+  safeCall,
+};
@@ -0,0 +1,47 @@
+// Environment settings shared across modules: API keys, model names, beta limits.
+
+const path = require("path");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const PORT = process.env.PORT || 4000;
+
+// ---------- ENV CLEAN-UP ----------
+// TRUST_PROXY: "true"/"false", a hop count, or a list of trusted proxy addresses. The
+// default of 1 fits a single load balancer (Render, Railway, nginx).
+function parseTrustProxy(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  if (!s) return 1;
+  if (s === "true" || s === "false") return s === "true";
+  if (/^\d+$/.test(s)) return Number(s);
+  return s;
+}
+
+const cleanKey = (v) => (v ? String(v).trim().replace(/^bearer\s+/i, "") : "");
+const GROQ_API_KEY = cleanKey(process.env.GROQ_API_KEY);
+const GEMINI_API_KEY = cleanKey(process.env.GEMINI_API_KEY);
+const OPENAI_API_KEY = cleanKey(process.env.OPENAI_API_KEY);
+
+const GROQ_MODEL = process.env.GROQ_MODEL || "llama-3.3-70b-versatile";
+const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-2.0-flash";
+const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+
+// ---------- BETA CONFIG ----------
+const DAILY_LIMIT = 15;
+
+// Beta testers are seed data now (seeds/beta-testers.json), not code. See src/users.js.
+const USERS_SEED_PATH = process.env.USERS_SEED_PATH || path.join(ROOT_DIR, "seeds", "beta-testers.json");
+
+module.exports = {
+  ROOT_DIR,
+  PORT,
+  parseTrustProxy,
+  cleanKey,
+  GROQ_API_KEY,
+  GEMINI_API_KEY,
+  OPENAI_API_KEY,
+  GROQ_MODEL,
+  GEMINI_MODEL,
+  OPENAI_MODEL,
+  DAILY_LIMIT,
+  USERS_SEED_PATH,
+};
@@ -0,0 +1,60 @@
+// Per-user reply history.
+
+const path = require("path");
+const crypto = require("crypto");
+
+const { ROOT_DIR } = require("./config");
+const { RECORD_STORE, createRecordStore } = require("./stores");
+const { newestFirst } = require("./text");
+
+// ---------- REPLY HISTORY ----------
+// Every reply from /api/generate-reply (JSON or stream) is saved with the inputs that
+// produced it: { id, userId, createdAt, reviewText, productName, rating, tone, language,
+// platform, profileId, reply, alternatives[], engine, fallbackUsed, favorite, label }.
+// Only non-favorites count towards HISTORY_MAX_PER_USER; the oldest go first.
+const HISTORY_STORE_PATH = process.env.HISTORY_STORE_PATH || path.join(ROOT_DIR, "data", "history.json");
+const HISTORY_MAX_PER_USER = Number(process.env.HISTORY_MAX_PER_USER) || 500;
+
+const historyStore = createRecordStore(RECORD_STORE, HISTORY_STORE_PATH, "replies");
+
+function getOwnHistoryEntry(userId, id) {
+  const entry = historyStore.get(String(id));
+  return entry && entry.userId === userId ? entry : null;
+}
+
+// Returns the new entry's id, which the route hands back as historyId.
+function saveReplyHistory(userId, input, result, extra = {}) {
+  const id = `rh_${crypto.randomBytes(6).toString("hex")}`;
+  historyStore.upsert(id, {
+    userId,
+    reviewText: input.text,
+    productName: input.productName,
+    rating: input.rating,
+    tone: input.tone,
+    language: input.lang,
+    platform: input.platform,
+    profileId: input.profile?.id || null,
+    productId: input.product?.productId || null,
+    reply: result.reply,
+    alternatives: [],
+    engine: result.engine,
+    fallbackUsed: !!result.fallbackUsed,
+    favorite: false,
+    label: "",
+    ...extra,
+  });
+
+  // Only this user's entries, and one store write for however many fall off the end.
+  const kept = historyStore.list((e) => e.userId === userId && !e.favorite);
+  if (kept.length > HISTORY_MAX_PER_USER) {
+    historyStore.removeMany(kept.sort(newestFirst).slice(HISTORY_MAX_PER_USER).map((e) => e.id));
+  }
+
+  return id;
+}
+
+module.exports = {
+  historyStore,
+  getOwnHistoryEntry,
+  saveReplyHistory,
+};
@@ -0,0 +1,160 @@
+// Marketplace review ingestion and draft generation.
+
+const crypto = require("crypto");
+
+const { logEvent, metrics } = require("./observability");
+const { refundUsage, reserveUsage, resetUsageIfNewDay } = require("./usage");
+const { getOwnProduct } = require("./products");
+const { cachedRouteReply, prepareReplyInput } = require("./routing");
+const { enqueueJob, isTransientTemplate, jobFailure, registerJobHandler, transientError } = require("./jobs");
+const { INGEST_MAX_REVIEWS, REVIEW_CONNECTORS, draftStore, reviewRecordId, reviewStore } = require("./marketplace");
+const { applyAutoApproval } = require("./approval");
+
+// Stores each new review as "queued" and puts it on the draft queue. Already-stored ids,
+// reviews the seller has already answered and rating-only reviews are counted, not queued.
+// options: { tone, language, profileId } applied to every review's draft.
+function ingestReviews(userId, platform, payload, options = {}) {
+  const adapter = REVIEW_CONNECTORS[platform];
+  const extracted = adapter.extract(payload);
+  const raw = Array.isArray(extracted) ? extracted : [];
+  const summary = { received: raw.length, queued: 0, duplicates: 0, skipped: 0 };
+
+  for (const item of raw.slice(0, INGEST_MAX_REVIEWS)) {
+    // Webhook payloads are not trusted to be well formed: null, strings or arrays in the
+    // list are skipped rather than handed to normalize().
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      summary.skipped++;
+      metrics.reviewsIngested.inc({ platform, result: "skipped" });
+      continue;
+    }
+    const review = adapter.normalize(item);
+    const id = reviewRecordId(userId, platform, review.reviewId);
+
+    let result = "queued";
+    if (!review.reviewId) result = "skipped";
+    else if (reviewStore.get(id)) result = "duplicates";
+    else if (review.replied || !review.reviewText) result = "skipped";
+
+    summary[result]++;
+    metrics.reviewsIngested.inc({ platform, result });
+    if (result !== "queued") continue;
+
+    reviewStore.upsert(id, { ...review, userId, platform, options, status: "queued", draftId: null, error: null });
+    enqueueReviewDraft(id);
+  }
+  summary.skipped += Math.max(0, raw.length - INGEST_MAX_REVIEWS);
+
+  return summary;
+}
+
+// Each queued review is drafted by a "review-draft" job (see JOB QUEUE in jobs.js).
+function enqueueReviewDraft(id) {
+  const review = reviewStore.get(id);
+  const job = enqueueJob("review-draft", review.userId, { reviewKey: id });
+  reviewStore.upsert(id, { jobId: job.id });
+}
+
+// Reviews that hit the daily limit wait as "deferred" until the seller ingests again.
+function requeueDeferredReviews(userId) {
+  reviewStore
+    .list((r) => r.userId === userId && r.status === "deferred")
+    .forEach((r) => {
+      reviewStore.upsert(r.id, { status: "queued", error: null });
+      enqueueReviewDraft(r.id);
+    });
+}
+
+async function draftReview(job) {
+  const id = job.payload.reviewKey;
+  const review = reviewStore.get(id);
+  if (!review || review.status !== "queued") return { skipped: true };
+
+  resetUsageIfNewDay();
+  const { userId, platform, options } = review;
+  // Marketplace item ids only become catalog context if the seller registered them.
+  const productId = getOwnProduct(userId, review.productId) ? review.productId : undefined;
+
+  const prepared = prepareReplyInput(
+    {
+      reviewText: review.reviewText,
+      rating: review.rating,
+      productName: review.productName,
+      productId,
+      platform,
+      tone: options?.tone,
+      language: options?.language,
+      profileId: options?.profileId,
+    },
+    userId
+  );
+  if (prepared.error) throw jobFailure(prepared.error);
+
+  const reservation = reserveUsage(userId, 1);
+  if (reservation.units === 0) {
+    metrics.quotaRejections.inc({ plan: prepared.plan.id, mode: "ingest" });
+    reviewStore.upsert(id, { status: "deferred", error: "LIMIT_REACHED" });
+    return { deferred: true };
+  }
+
+  const { input } = prepared;
+  let result;
+  try {
+    result = await cachedRouteReply(input);
+  } catch (err) {
+    refundUsage(reservation);
+    throw err;
+  }
+  // Leave the review queued and let the job retry rather than draft a template mid-outage.
+  if (isTransientTemplate(result)) {
+    refundUsage(reservation);
+    throw transientError(`Providers unavailable: ${result.providerErrors.map((e) => `${e.provider}:${e.kind}`).join(", ")}`);
+  }
+
+  const draftId = `dr_${crypto.randomBytes(6).toString("hex")}`;
+  draftStore.upsert(draftId, {
+    userId,
+    reviewKey: id,
+    platform,
+    reviewId: review.reviewId,
+    orderId: review.orderId,
+    productId: review.productId,
+    productName: input.productName,
+    rating: review.rating,
+    reviewText: review.reviewText,
+    reply: result.reply,
+    engine: result.engine,
+    fallbackUsed: result.fallbackUsed,
+    guardrail: result.guardrail,
+    language: input.lang,
+    analysis: input.analysis,
+    status: "draft",
+    updatedAt: new Date().toISOString(),
+  });
+  reviewStore.upsert(id, { status: "drafted", draftId });
+  logEvent("info", "review_drafted", { userId, platform, reviewId: review.reviewId, draftId, engine: result.engine });
+  const draft = await applyAutoApproval(draftStore.get(draftId));
+  return { draftId, status: draft.status };
+}
+
+function reviewDraftDead(job) {
+  reviewStore.upsert(job.payload.reviewKey, { status: "failed", error: job.error?.error || "SERVER_ERROR" });
+}
+
+function reviewDraftRetry(job) {
+  reviewStore.upsert(job.payload.reviewKey, { status: "queued", error: null });
+}
+
+registerJobHandler("review-draft", { run: draftReview, onDead: reviewDraftDead, onRetry: reviewDraftRetry });
+
+// Options for every draft in this ingest, from the query string (like the CSV route).
+function ingestOptions(query, fallback = {}) {
+  const { tone, language, profileId } = { ...fallback, ...query };
+  return { tone, language, profileId };
+}
+
+module.exports = {
+  ingestReviews,
+  enqueueReviewDraft,
+  requeueDeferredReviews,
+  ingestOptions,
+};
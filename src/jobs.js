@@ -0,0 +1,286 @@
+// Background job queue with retries and dead-lettering.
+
+const path = require("path");
+const crypto = require("crypto");
+
+const { ROOT_DIR } = require("./config");
+const { logEvent, metrics, requestContext } = require("./observability");
+const { breaker } = require("./breaker");
+const { createRecordStore } = require("./stores");
+const { refundUsage, reserveUsage, resetUsageIfNewDay } = require("./usage");
+const { saveReplyHistory } = require("./history");
+const { cachedRouteReply, prepareReplyInput } = require("./routing");
+
+// ---------- JOB QUEUE ----------
+// Background generation for work that should not hold an HTTP request open: single
+// replies (POST /api/jobs), batches and ingested reviews. Clients poll GET /api/jobs/:id.
+//   queued -> running -> succeeded
+//                     -> queued again (transient failure, after backoff)
+//                     -> dead (permanent failure, or out of attempts)
+// A handler throws an error with _transient set to ask for a retry; anything else it throws
+// dead-letters the job. Dead jobs stay listed (GET /admin/jobs?status=dead) until they are
+// retried or pruned. JOBS_STORE=file keeps the queue in a JSON file so queued work
+// survives a restart; the default keeps it in memory.
+const JOBS_STORE = String(process.env.JOBS_STORE || "memory").toLowerCase().trim();
+const JOBS_STORE_PATH = process.env.JOBS_STORE_PATH || path.join(ROOT_DIR, "data", "jobs.json");
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+const JOB_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 4;
+const JOB_BACKOFF_BASE_MS = Number(process.env.JOB_BACKOFF_BASE_MS) || 5 * 1000;
+const JOB_BACKOFF_MAX_MS = Number(process.env.JOB_BACKOFF_MAX_MS) || 5 * 60 * 1000;
+const JOB_RETENTION_MS = Number(process.env.JOB_RETENTION_MS) || 24 * 60 * 60 * 1000;
+
+// Provider failures worth waiting out. auth and bad_model need a config change instead.
+const TRANSIENT_PROVIDER_ERRORS = ["timeout", "error", "quota"];
+
+const jobStore = createRecordStore(JOBS_STORE, JOBS_STORE_PATH, "jobs");
+let jobsRunning = 0;
+let jobTimer = null;
+
+function transientError(message) {
+  const e = new Error(message);
+  e._transient = true;
+  return e;
+}
+
+// A skipped call ("breaker") is as transient as the failure that opened the breaker; one
+// opened by hand from /admin has no lastError and is treated as an outage.
+function providerErrorKind({ provider, kind }) {
+  return kind === "breaker" ? breaker[provider]?.lastError?.kind || "error" : kind;
+}
+
+// A template reply caused by provider outages (not by the guardrail) is worth retrying.
+function isTransientTemplate(result) {
+  return (
+    result.engine === "template" &&
+    result.guardrail?.action !== "template" &&
+    (result.providerErrors || []).some((e) => TRANSIENT_PROVIDER_ERRORS.includes(providerErrorKind(e)))
+  );
+}
+
+// Doubling backoff with up to 20% jitter so retried jobs don't hit a recovering provider together.
+function jobBackoffMs(attempts) {
+  const delay = Math.min(JOB_BACKOFF_MAX_MS, JOB_BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+function enqueueJob(type, userId, payload, extra = {}) {
+  const id = `job_${crypto.randomBytes(6).toString("hex")}`;
+  const job = jobStore.upsert(id, {
+    type,
+    userId,
+    payload,
+    status: "queued",
+    attempts: 0,
+    maxAttempts: JOB_MAX_ATTEMPTS,
+    runAt: Date.now(),
+    result: null,
+    error: null,
+    lastError: null,
+    updatedAt: new Date().toISOString(),
+    ...extra,
+  });
+  metrics.jobs.inc({ type, outcome: "queued" });
+  setImmediate(pumpJobs);
+  return job;
+}
+
+function pumpJobs() {
+  const now = Date.now();
+  const due = jobStore
+    .list((j) => j.status === "queued")
+    .sort((a, b) => a.runAt - b.runAt);
+
+  for (const job of due) {
+    if (jobsRunning >= JOB_CONCURRENCY) return;
+    if (job.runAt > now) break;
+    jobsRunning++;
+    requestContext.run({ requestId: `job:${job.id}` }, () => runJob(job)).finally(() => {
+      jobsRunning--;
+      pumpJobs();
+    });
+  }
+
+  // Wake up for the next retry that is not due yet.
+  const next = due.find((j) => j.runAt > now && j.status === "queued");
+  clearTimeout(jobTimer);
+  if (next) jobTimer = setTimeout(pumpJobs, next.runAt - now).unref();
+}
+
+async function runJob(job) {
+  const handler = getJobHandler(job.type);
+  const attempts = job.attempts + 1;
+  jobStore.upsert(job.id, { status: "running", attempts, startedAt: new Date().toISOString() });
+
+  try {
+    // A job whose type nothing registered (e.g. a file store written by a newer build) is
+    // dead-lettered rather than crashing the queue.
+    if (!handler) throw jobFailure({ error: "UNKNOWN_JOB_TYPE", details: `No handler for job type "${job.type}".` });
+    const result = await handler.run({ ...job, attempts });
+    finishJob(job.id, { status: "succeeded", result });
+    metrics.jobs.inc({ type: job.type, outcome: "succeeded" });
+  } catch (err) {
+    const message = err?.message || String(err);
+    if (err?._transient && attempts < job.maxAttempts) {
+      const delay = jobBackoffMs(attempts);
+      jobStore.upsert(job.id, {
+        status: "queued",
+        runAt: Date.now() + delay,
+        lastError: message,
+        updatedAt: new Date().toISOString(),
+      });
+      metrics.jobs.inc({ type: job.type, outcome: "retried" });
+      logEvent("warn", "job_retry", { jobId: job.id, type: job.type, attempts, delayMs: delay, message });
+      return;
+    }
+
+    const error = err?._jobError || { error: err?._transient ? "RETRIES_EXHAUSTED" : "SERVER_ERROR", details: message };
+    finishJob(job.id, { status: "dead", error, lastError: message });
+    metrics.jobs.inc({ type: job.type, outcome: "dead" });
+    logEvent("error", "job_dead", { jobId: job.id, type: job.type, attempts, message });
+    try {
+      handler?.onDead?.(jobStore.get(job.id));
+    } catch (hookErr) {
+      const hookMessage = hookErr?.message || String(hookErr);
+      logEvent("error", "job_on_dead_failed", { jobId: job.id, type: job.type, message: hookMessage });
+    }
+  }
+}
+
+function finishJob(id, fields) {
+  const now = new Date().toISOString();
+  const job = jobStore.upsert(id, { ...fields, finishedAt: now, updatedAt: now });
+  if (job.parentId) settleParentJob(job.parentId);
+}
+
+// A batch job finishes once none of its items is still queued or running.
+function settleParentJob(parentId) {
+  const items = jobStore.list((j) => j.parentId === parentId);
+  if (items.some((j) => j.status === "queued" || j.status === "running")) return;
+
+  const succeeded = items.filter((j) => j.status === "succeeded").length;
+  const now = new Date().toISOString();
+  jobStore.upsert(parentId, {
+    status: "succeeded",
+    result: { total: items.length, succeeded, failed: items.length - succeeded },
+    finishedAt: now,
+    updatedAt: now,
+  });
+}
+
+// Permanent failure with an API-style error body, e.g. { error: "BAD_REQUEST", details }.
+function jobFailure(body) {
+  const e = new Error(body.details || body.error);
+  e._jobError = body;
+  return e;
+}
+
+// One reply, like POST /api/generate-reply without variants. Quota is reserved per attempt
+// and handed back when the attempt is retried.
+async function runReplyJob(job) {
+  resetUsageIfNewDay();
+  const prepared = prepareReplyInput({ ...job.payload, variants: 1 }, job.userId);
+  if (prepared.error) throw jobFailure(prepared.error);
+
+  const { input, plan } = prepared;
+  const reservation = reserveUsage(job.userId, 1);
+  if (reservation.units === 0) {
+    metrics.quotaRejections.inc({ plan: plan.id, mode: "job" });
+    throw jobFailure({ error: "LIMIT_REACHED", details: "Daily limit reached before this job ran." });
+  }
+
+  let result;
+  try {
+    result = await cachedRouteReply(input);
+  } catch (err) {
+    refundUsage(reservation);
+    throw err;
+  }
+  if (isTransientTemplate(result)) {
+    refundUsage(reservation);
+    throw transientError(`Providers unavailable: ${result.providerErrors.map((e) => `${e.provider}:${e.kind}`).join(", ")}`);
+  }
+
+  const historyId = saveReplyHistory(job.userId, input, result);
+  return {
+    ...(job.payload.id !== undefined ? { id: job.payload.id } : {}),
+    reply: result.reply,
+    engine: result.engine,
+    fallbackUsed: result.fallbackUsed,
+    guardrail: result.guardrail,
+    language: input.lang,
+    analysis: input.analysis,
+    platform: input.platform,
+    historyId,
+  };
+}
+
+// type -> { run(job) -> result, onDead?(job), onRetry?(job) }. Modules that own a job
+// type register it here, so this file does not have to require them.
+const JOB_HANDLERS = {};
+
+function registerJobHandler(type, handler) {
+  JOB_HANDLERS[type] = handler;
+}
+
+// Own keys only, so a job type like "constructor" has no handler.
+function getJobHandler(type) {
+  return Object.hasOwn(JOB_HANDLERS, type) ? JOB_HANDLERS[type] : null;
+}
+
+registerJobHandler("reply", { run: runReplyJob });
+
+function jobView(job) {
+  const { payload, userId, runAt, ...view } = job;
+  if (job.status === "queued" && job.attempts > 0) view.nextAttemptAt = new Date(runAt).toISOString();
+  if (job.type === "batch") {
+    view.items = jobStore
+      .list((j) => j.parentId === job.id)
+      .sort((a, b) => a.index - b.index)
+      .map(({ id, index, status, attempts, result, error }) => ({ id, index, status, attempts, result, error }));
+  }
+  return view;
+}
+
+function findOwnJob(userId, id) {
+  const job = jobStore.get(String(id || ""));
+  return job && job.userId === userId ? job : null;
+}
+
+function retryDeadJob(job) {
+  const retried = jobStore.upsert(job.id, {
+    status: "queued",
+    attempts: 0,
+    runAt: Date.now(),
+    error: null,
+    finishedAt: null,
+    updatedAt: new Date().toISOString(),
+  });
+  if (job.parentId) jobStore.upsert(job.parentId, { status: "running", finishedAt: null });
+  getJobHandler(job.type)?.onRetry?.(retried);
+  setImmediate(pumpJobs);
+  return retried;
+}
+
+// Finished jobs are dropped JOB_RETENTION_MS after they end; batch items go with their batch.
+setInterval(() => {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  jobStore
+    .list((j) => (j.status === "succeeded" || j.status === "dead") && !j.parentId && Date.parse(j.finishedAt) < cutoff)
+    .forEach((j) => {
+      jobStore.list((c) => c.parentId === j.id).forEach((c) => jobStore.remove(c.id));
+      jobStore.remove(j.id);
+    });
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+  jobStore,
+  transientError,
+  isTransientTemplate,
+  enqueueJob,
+  registerJobHandler,
+  pumpJobs,
+  jobFailure,
+  jobView,
+  findOwnJob,
+  retryDeadJob,
+};
@@ -0,0 +1,155 @@
+// Review language detection.
+
+const { readJsonFile } = require("./stores");
+const { SUPPORTED_LANGUAGES, normalizeLanguageName } = require("./text");
+
+// ---------- LANGUAGE DETECTION ----------
+// Offline and score-based: script ranges first (Thai, Chinese, Vietnamese diacritics), then
+// weighted word lexicons plus a few Tagalog/Indonesian affixes. English vs Tagalog is a
+// ratio rather than a hit count: mostly Tagalog -> "tagalog", mostly English -> "english",
+// anything in between -> "taglish". Tune against corpus/language-detection.json with
+// `npm run eval-languages`; corpus/language-detection-holdout.json is never tuned on, and
+// test/language.test.js checks the detector still does well on it.
+const LEXICON_WEIGHTS = {
+  english: {
+    2: "the and is was are very item items delivery thank thanks you quality received product fast great nice good love",
+    1: "but not it this my i size wrong color will order again exactly described worth price material feels cheap shipping well packed happy with her his new bag sent please check your took too long responsive sturdy looks premium small got in condition of for to so as be have has would does did arrived broken damaged return refund still yet waiting late next time daughter son",
+  },
+  tagalog: {
+    2: "po opo pong salamat maraming ang ng mga naman yung ung nyo ninyo namin hindi wala walang sana kasi daw rin din pero ulit sobrang medyo maganda ganda bilis mabilis dumating pagdating sira mali tama sukat kulay tela pakete kahon laman matagal maayos tindahan babalik dito talaga lang produkto nagbebenta sumagot ipinadala",
+    1: "sa ko ako kayo amin kami meron ayos ito yan iyan nang bago lahat pala nga ba tugma",
+    0.5: "may pa na di at",
+  },
+  indonesian: {
+    2: "terima kasih barang sudah sangat bagus tidak pengiriman cepat sesuai pesanan mantap banget sampai kualitas kurang jahitan ukuran ukurannya kekecilan kebesaran tolong dicek ramah rapi saya belum datang rusak warna",
+    1: "kak gan dengan yang dan ini itu aman lagi tapi juga sekali beli",
+    0.3: "ya oke",
+  },
+  vietnamese: {
+    2: "hang dep giao nhanh cam san pham tot dong goi khong giong hinh chat luong kem",
+    1: "rat mau sai roi oi nhe cua minh nhung lam qua dung nhan duoc ky",
+  },
+};
+
+// Marketplace loanwords shared by every language; they only tip Tagalog toward Taglish.
+const LOANWORDS = new Set(["seller", "shop", "legit", "recommended", "packing", "freebie", "sulit", "super", "ok", "okay"]);
+
+const LEXICONS = Object.fromEntries(
+  Object.entries(LEXICON_WEIGHTS).map(([lang, tiers]) => {
+    const map = new Map();
+    for (const [weight, words] of Object.entries(tiers)) {
+      for (const w of words.split(" ")) map.set(w, Number(weight));
+    }
+    return [lang, map];
+  })
+);
+
+const TAGALOG_AFFIX = /^(nag|mag|pag|napaka|naka|ipina|pinaka|ika)[a-z]{3,}$/;
+// "ma-replace", "nag-order": a Tagalog affix on an English stem is Taglish by definition.
+const TAGLISH_AFFIX = /^(ma|pa|i|na|nag|mag|mapa|naka)-[a-z]{3,}$/;
+const INDONESIAN_AFFIX = /^[a-z]{3,}nya$|^ke[a-z]{3,}an$/;
+const VIETNAMESE_CHARS = /[ăđơưẠ-ỹ]/g;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function scriptShare(text, re) {
+  const letters = text.replace(/[\s\d\p{P}\p{S}]/gu, "").length || 1;
+  return (text.match(re) || []).length / letters;
+}
+
+// Returns { language, confidence } with confidence in 0..1.
+function detectLanguageScored(text) {
+  const t = String(text || "").toLowerCase();
+
+  const thai = scriptShare(t, /[฀-๿]/g);
+  if (thai > 0.3) return { language: "thai", confidence: round2(Math.min(0.99, 0.6 + thai / 2)) };
+  const cjk = scriptShare(t, /[一-鿿]/g);
+  if (cjk > 0.3) return { language: "chinese", confidence: round2(Math.min(0.99, 0.6 + cjk / 2)) };
+
+  const scores = { english: 0, tagalog: 0, indonesian: 0, vietnamese: 0 };
+  let loanwords = 0;
+
+  scores.vietnamese += 2 * (t.match(VIETNAMESE_CHARS) || []).length;
+
+  // Strip accents so unaccented Vietnamese ("hang dep") hits the same lexicon.
+  const plain = t.normalize("NFD").replace(/[̀-ͯ]/g, "").replace(/đ/g, "d");
+  for (const tok of plain.match(/[a-z]+(?:-[a-z]+)*/g) || []) {
+    if (LOANWORDS.has(tok)) {
+      loanwords++;
+      continue;
+    }
+
+    let known = false;
+    for (const lang of Object.keys(scores)) {
+      const w = LEXICONS[lang].get(tok);
+      if (w) {
+        scores[lang] += w;
+        known = true;
+      }
+    }
+    if (known) continue;
+
+    if (TAGLISH_AFFIX.test(tok)) {
+      scores.tagalog += 1;
+      scores.english += 1;
+    } else if (TAGALOG_AFFIX.test(tok)) {
+      scores.tagalog += 1;
+    } else if (INDONESIAN_AFFIX.test(tok)) {
+      scores.indonesian += 1;
+    }
+  }
+
+  const total = Object.values(scores).reduce((a, b) => a + b, 0);
+  if (total === 0) return { language: "english", confidence: 0.2 };
+
+  // More evidence, more confidence; six points is plenty for a short review.
+  const evidence = Math.min(1, total / 6);
+  const confidence = (margin) => round2(Math.min(0.99, margin * (0.5 + 0.5 * evidence)));
+
+  const ph = scores.english + scores.tagalog;
+  for (const lang of ["indonesian", "vietnamese"]) {
+    if (scores[lang] >= 2 && scores[lang] > ph) {
+      return { language: lang, confidence: confidence(scores[lang] / total) };
+    }
+  }
+
+  const en = scores.english + 0.5 * loanwords;
+  const tlShare = scores.tagalog / (scores.tagalog + en || 1);
+
+  if (tlShare <= 0.15) return { language: "english", confidence: confidence(1 - tlShare) };
+  if (tlShare >= 0.85 && en < 1) return { language: "tagalog", confidence: confidence(tlShare) };
+  return { language: "taglish", confidence: confidence(1 - Math.abs(tlShare - 0.5)) };
+}
+
+// Runs every labelled sample through the detector; used by `npm run eval-languages`.
+function evaluateLanguageCorpus(corpusPath) {
+  const { samples = [] } = readJsonFile(corpusPath, {});
+  const perLanguage = {};
+  const misses = [];
+
+  for (const sample of samples) {
+    const got = detectLanguageScored(sample.text);
+    const bucket = (perLanguage[sample.language] = perLanguage[sample.language] || { total: 0, correct: 0 });
+    bucket.total++;
+    if (got.language === sample.language) bucket.correct++;
+    else misses.push({ ...sample, got: got.language, confidence: got.confidence });
+  }
+
+  const correct = Object.values(perLanguage).reduce((sum, b) => sum + b.correct, 0);
+  return { total: samples.length, correct, perLanguage, misses };
+}
+
+// `detected` is an optional detectLanguageScored() result, so callers that already ran
+// the detector (to report it) do not run it twice.
+function normalizeLanguage(language, reviewText, detected = null) {
+  const l = normalizeLanguageName(language || "auto");
+  if (SUPPORTED_LANGUAGES.includes(l)) return l;
+  return (detected || detectLanguageScored(reviewText)).language;
+}
+
+module.exports = {
+  round2,
+  detectLanguageScored,
+  evaluateLanguageCorpus,
+  normalizeLanguage,
+};
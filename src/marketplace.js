@@ -0,0 +1,176 @@
+// Shopee/Lazada Open Platform connectors and the review, draft and connector stores.
+
+const path = require("path");
+const crypto = require("crypto");
+
+const { ROOT_DIR } = require("./config");
+const { PROVIDER_TIMEOUT_MS } = require("./breaker");
+const { RECORD_STORE, createRecordStore } = require("./stores");
+const { cleanText } = require("./text");
+
+// ---------- REVIEW INGESTION ----------
+// Pulls marketplace reviews in instead of having sellers paste them one by one:
+//   connector adapter -> normalized review -> dedupe by review id -> queue -> draft reply
+// Reviews arrive two ways: POST /api/ingest/:platform with a raw Open Platform payload
+// (for a webhook relay, or the recorded fixtures under fixtures/marketplace), or
+// POST /api/connectors/:platform/poll, which fetches pages from a saved connector's
+// baseUrl. `npm run mock-marketplace` serves the fixtures on a local port so polling can
+// be exercised without a live shop. Drafts wait in draftStore for the seller.
+const REVIEWS_STORE_PATH = process.env.REVIEWS_STORE_PATH || path.join(ROOT_DIR, "data", "reviews.json");
+const DRAFTS_STORE_PATH = process.env.DRAFTS_STORE_PATH || path.join(ROOT_DIR, "data", "drafts.json");
+const CONNECTORS_STORE_PATH = process.env.CONNECTORS_STORE_PATH || path.join(ROOT_DIR, "data", "connectors.json");
+const INGEST_MAX_REVIEWS = Number(process.env.INGEST_MAX_REVIEWS) || 200;
+const INGEST_POLL_MAX_PAGES = Number(process.env.INGEST_POLL_MAX_PAGES) || 5;
+
+const reviewStore = createRecordStore(RECORD_STORE, REVIEWS_STORE_PATH, "reviews");
+const draftStore = createRecordStore(RECORD_STORE, DRAFTS_STORE_PATH, "drafts");
+const connectorStore = createRecordStore(RECORD_STORE, CONNECTORS_STORE_PATH, "connectors");
+
+const hmacSha256 = (key, text) => crypto.createHmac("sha256", String(key)).update(text).digest("hex");
+
+// sign = HMAC-SHA256(partner_key, partner_id + path + timestamp + access_token + shop_id)
+function shopeeSignedUrl(connector, apiPath, extra = {}) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const base = `${connector.partnerId}${apiPath}${timestamp}${connector.accessToken}${connector.shopId}`;
+  const query = new URLSearchParams({
+    partner_id: connector.partnerId,
+    shop_id: connector.shopId,
+    access_token: connector.accessToken,
+    timestamp: String(timestamp),
+    sign: hmacSha256(connector.partnerKey, base),
+    ...extra,
+  });
+  return `${connector.baseUrl}${apiPath}?${query}`;
+}
+
+// sign = upper(hex(HMAC-SHA256(app_secret, path + sorted key/value pairs)))
+function lazadaSignedUrl(connector, apiPath, extra = {}) {
+  const params = {
+    app_key: connector.appKey,
+    access_token: connector.accessToken,
+    timestamp: String(Date.now()),
+    sign_method: "sha256",
+    ...extra,
+  };
+  const signBase = Object.keys(params)
+    .sort()
+    .reduce((acc, k) => acc + k + params[k], apiPath);
+  const query = new URLSearchParams({ ...params, sign: hmacSha256(connector.appSecret, signBase).toUpperCase() });
+  return `${connector.baseUrl}${apiPath}?${query}`;
+}
+
+// Each adapter turns its platform's payload into normalized reviews:
+//   { reviewId, orderId, productId, productName, rating, reviewText, buyer, createdAt, replied }
+// and knows how to fetch one page for polling and post a seller reply. The request shapes
+// (paths, signing) follow the Open Platform docs and are exercised against the mock server only.
+const REVIEW_CONNECTORS = {
+  shopee: {
+    name: "Shopee",
+    path: "/api/v2/product/get_comment",
+    replyPath: "/api/v2/product/reply_comment",
+    secretFields: ["partnerKey", "accessToken"],
+    configFields: ["baseUrl", "shopId", "partnerId", "partnerKey", "accessToken"],
+    extract(payload) {
+      if (Array.isArray(payload)) return payload;
+      return payload?.response?.item_comment_list || payload?.item_comment_list || [];
+    },
+    normalize(c) {
+      return {
+        reviewId: String(c.comment_id ?? ""),
+        orderId: String(c.order_sn ?? ""),
+        productId: String(c.item_id ?? ""),
+        productName: "",
+        rating: Number(c.rating_star),
+        reviewText: cleanText(c.comment),
+        buyer: cleanText(c.buyer_username),
+        createdAt: c.create_time ? new Date(c.create_time * 1000).toISOString() : null,
+        replied: !!cleanText(c.comment_reply?.reply),
+      };
+    },
+    async fetchPage(connector, cursor) {
+      const payload = await fetchJson(shopeeSignedUrl(connector, this.path, { cursor: cursor || "", page_size: "50" }));
+      if (payload?.error) throw new Error(`Shopee error ${payload.error}: ${payload.message || ""}`.trim());
+      const more = !!payload?.response?.more;
+      return { payload, nextCursor: more ? payload.response.next_cursor : null };
+    },
+    async postReply(connector, { reviewId, reply }) {
+      const payload = await fetchJson(shopeeSignedUrl(connector, this.replyPath), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ comment_list: [{ comment_id: Number(reviewId), comment: reply }] }),
+      });
+      if (payload?.error) throw new Error(`Shopee error ${payload.error}: ${payload.message || ""}`.trim());
+      const failed = payload?.response?.result_list?.find((r) => r.fail_error);
+      if (failed) throw new Error(`Shopee error ${failed.fail_error}: ${failed.fail_message || ""}`.trim());
+      return { externalId: String(reviewId) };
+    },
+  },
+  lazada: {
+    name: "Lazada",
+    path: "/review/seller/list/v2",
+    replyPath: "/review/seller/reply/add",
+    secretFields: ["appSecret", "accessToken"],
+    configFields: ["baseUrl", "appKey", "appSecret", "accessToken"],
+    extract(payload) {
+      if (Array.isArray(payload)) return payload;
+      return payload?.data?.review_list || payload?.review_list || [];
+    },
+    normalize(r) {
+      return {
+        reviewId: String(r.id ?? ""),
+        orderId: String(r.order_id ?? ""),
+        productId: String(r.product_id ?? ""),
+        productName: cleanText(r.product_name),
+        rating: Number(r.rating),
+        reviewText: cleanText(r.review_content),
+        buyer: cleanText(r.buyer_name),
+        createdAt: r.create_time ? new Date(Number(r.create_time)).toISOString() : null,
+        replied: !!cleanText(r.seller_reply?.content),
+      };
+    },
+    async fetchPage(connector, cursor) {
+      const current = Number(cursor) || 1;
+      const payload = await fetchJson(lazadaSignedUrl(connector, this.path, { current: String(current), page_size: "50" }));
+      if (payload?.code && payload.code !== "0") throw new Error(`Lazada error ${payload.code}: ${payload.message || ""}`);
+      const { total = 0, page_size: pageSize = 50 } = payload?.data || {};
+      return { payload, nextCursor: current * pageSize < total ? String(current + 1) : null };
+    },
+    // Lazada signs every parameter, so the reply text travels in the signed query string.
+    async postReply(connector, { reviewId, reply }) {
+      const payload = await fetchJson(lazadaSignedUrl(connector, this.replyPath, { id: reviewId, content: reply }), {
+        method: "POST",
+      });
+      if (payload?.code && payload.code !== "0") throw new Error(`Lazada error ${payload.code}: ${payload.message || ""}`);
+      return { externalId: String(payload?.data?.reply_id || reviewId) };
+    },
+  },
+};
+
+async function fetchJson(url, init = {}) {
+  const response = await fetch(url, { ...init, signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+  return response.json();
+}
+
+const reviewRecordId = (userId, platform, reviewId) => `${userId}/${platform}:${reviewId}`;
+
+// Connector records never leave the server with their secrets.
+function connectorView(connector) {
+  const adapter = REVIEW_CONNECTORS[connector.platform];
+  const view = { ...connector };
+  adapter.secretFields.forEach((f) => {
+    view[f] = connector[f] ? `…${String(connector[f]).slice(-4)}` : "";
+  });
+  return view;
+}
+
+module.exports = {
+  draftStore,
+  INGEST_MAX_REVIEWS,
+  INGEST_POLL_MAX_PAGES,
+  reviewStore,
+  connectorStore,
+  REVIEW_CONNECTORS,
+  reviewRecordId,
+  connectorView,
+};
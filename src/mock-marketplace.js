@@ -0,0 +1,72 @@
+// Stand-in for the Shopee/Lazada Open Platform review endpoints, used for local polling.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+
+const { ROOT_DIR } = require("./config");
+const { logEvent } = require("./observability");
+const { REVIEW_CONNECTORS } = require("./marketplace");
+
+// Serves the recorded review payloads in fixtures/marketplace the way the Open Platform
+// list endpoints page them, so a connector with baseUrl http://localhost:<port> can be
+// polled locally. Pages hold at most maxPageSize reviews.
+function createMockMarketplace({ maxPageSize = 3 } = {}) {
+  const fixture = (name) => JSON.parse(fs.readFileSync(path.join(ROOT_DIR, "fixtures", "marketplace", name), "utf8"));
+  const pageSize = (q) => Math.max(1, Math.min(Number(q.page_size) || maxPageSize, maxPageSize));
+  const mock = express();
+
+  mock.get(REVIEW_CONNECTORS.shopee.path, (req, res) => {
+    if (!req.query.sign || !req.query.access_token) {
+      return res.json({ error: "error_auth", message: "Invalid access_token or sign.", response: null });
+    }
+    const all = fixture("shopee-get-comment.json").response.item_comment_list;
+    const start = Number(req.query.cursor) || 0;
+    const size = pageSize(req.query);
+    const more = start + size < all.length;
+    return res.json({
+      error: "",
+      message: "",
+      request_id: crypto.randomBytes(8).toString("hex"),
+      response: { item_comment_list: all.slice(start, start + size), more, next_cursor: more ? String(start + size) : "" },
+    });
+  });
+
+  mock.get(REVIEW_CONNECTORS.lazada.path, (req, res) => {
+    if (!req.query.sign || !req.query.access_token) {
+      return res.json({ code: "IllegalAccessToken", type: "ISV", message: "The specified access token is invalid." });
+    }
+    const all = fixture("lazada-review-list.json").data.review_list;
+    const current = Math.max(1, Number(req.query.current) || 1);
+    const size = pageSize(req.query);
+    return res.json({
+      code: "0",
+      request_id: crypto.randomBytes(8).toString("hex"),
+      data: { current, page_size: size, total: all.length, review_list: all.slice((current - 1) * size, current * size) },
+    });
+  });
+
+  // Reply endpoints accept any signed request and echo what a real shop would store.
+  mock.post(REVIEW_CONNECTORS.shopee.replyPath, express.json(), (req, res) => {
+    const list = req.body?.comment_list || [];
+    list.forEach((c) =>
+      logEvent("info", "mock_reply_received", { platform: "shopee", reviewId: String(c.comment_id), reply: c.comment })
+    );
+    return res.json({
+      error: req.query.sign ? "" : "error_auth",
+      message: "",
+      response: { result_list: list.map((c) => ({ comment_id: c.comment_id, fail_error: "", fail_message: "" })) },
+    });
+  });
+
+  mock.post(REVIEW_CONNECTORS.lazada.replyPath, (req, res) => {
+    if (!req.query.sign) return res.json({ code: "IncompleteSignature", message: "The request signature is missing." });
+    logEvent("info", "mock_reply_received", { platform: "lazada", reviewId: req.query.id, reply: req.query.content });
+    return res.json({ code: "0", data: { reply_id: `lzr_${req.query.id}` } });
+  });
+
+  return mock;
+}
+
+module.exports = { createMockMarketplace };
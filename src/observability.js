@@ -0,0 +1,200 @@
+// Structured JSON logs, request ids and Prometheus metrics.
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// ---------- OBSERVABILITY ----------
+// Logs are one JSON object per line: { time, level, event, requestId?, ...fields }. The
+// request id comes from X-Request-Id (or is generated), is echoed back in the response
+// header, and reaches every log line of that request through AsyncLocalStorage, so
+// provider failures deep in routeReply can be matched to the request that caused them.
+const requestContext = new AsyncLocalStorage();
+
+function logEvent(level, event, fields = {}) {
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    event,
+    requestId: requestContext.getStore()?.requestId,
+    ...fields,
+  });
+  if (level === "error") console.error(line);
+  else console.log(line);
+}
+
+// Prometheus text format, hand-rolled: counters and histograms keyed by their label values,
+// plus gauges that read live state (breakers, cache) when /metrics is scraped.
+const metricRegistry = [];
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((n) => String(labels[n] ?? "")));
+}
+
+function formatLabels(pairs) {
+  if (!pairs.length) return "";
+  const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${pairs.map(([k, v]) => `${k}="${escape(v)}"`).join(",")}}`;
+}
+
+function createCounter(name, help, labelNames = []) {
+  const values = new Map();
+  const metric = {
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, n = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + n);
+    },
+    samples: () =>
+      [...values].map(([key, value]) => ({ labels: labelNames.map((n, i) => [n, JSON.parse(key)[i]]), value })),
+  };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+function createGauge(name, help, collect) {
+  const metric = { name, help, type: "gauge", samples: collect };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+function createHistogram(name, help, labelNames, buckets) {
+  const series = new Map();
+  const metric = {
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      const s = series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => {
+        if (value <= le) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+      series.set(key, s);
+    },
+    samples: () =>
+      [...series].flatMap(([key, s]) => {
+        const labels = labelNames.map((n, i) => [n, JSON.parse(key)[i]]);
+        return [
+          ...buckets.map((le, i) => ({ suffix: "_bucket", labels: [...labels, ["le", le]], value: s.counts[i] })),
+          { suffix: "_bucket", labels: [...labels, ["le", "+Inf"]], value: s.count },
+          { suffix: "_sum", labels, value: s.sum },
+          { suffix: "_count", labels, value: s.count },
+        ];
+      }),
+  };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+function renderMetrics() {
+  return `${metricRegistry
+    .map((m) => {
+      const lines = [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`];
+      for (const s of m.samples()) {
+        lines.push(`${m.name}${s.suffix || ""}${formatLabels(s.labels)} ${s.value}`);
+      }
+      return lines.join("\n");
+    })
+    .join("\n")}\n`;
+}
+
+// Fallback rate = replypilot_reply_fallbacks_total / replypilot_replies_total. A rise in
+// replypilot_template_replies_total{language="taglish"} next to gemini breaker trips is
+// Gemini quota pushing Taglish users onto templates.
+const metrics = {
+  httpRequests: createCounter("replypilot_http_requests_total", "HTTP requests by route and status.", [
+    "method",
+    "route",
+    "status",
+  ]),
+  replies: createCounter("replypilot_replies_total", "Replies produced (cache hits included), by engine.", [
+    "engine",
+    "language",
+    "platform",
+  ]),
+  fallbacks: createCounter("replypilot_reply_fallbacks_total", "Replies not written by the primary provider.", [
+    "language",
+  ]),
+  templateReplies: createCounter(
+    "replypilot_template_replies_total",
+    "Replies that ended up as the fixed template (chain exhausted or guardrail).",
+    ["language", "reason"]
+  ),
+  providerCalls: createCounter("replypilot_provider_calls_total", "Provider calls by outcome (ok, skipped or error kind).", [
+    "provider",
+    "outcome",
+  ]),
+  providerLatency: createHistogram(
+    "replypilot_provider_latency_seconds",
+    "Provider call latency.",
+    ["provider", "outcome"],
+    [0.25, 0.5, 1, 2, 4, 8, 16, 32]
+  ),
+  breakerTrips: createCounter("replypilot_breaker_trips_total", "Circuit breaker trips (to open), by error kind.", [
+    "provider",
+    "reason",
+  ]),
+  quotaRejections: createCounter("replypilot_quota_rejections_total", "Reviews refused by the daily limit.", [
+    "plan",
+    "mode",
+  ]),
+  rateLimited: createCounter("replypilot_rate_limited_total", "Requests refused with 429 by a token bucket.", [
+    "scope",
+  ]),
+  jobs: createCounter("replypilot_jobs_total", "Background job transitions.", ["type", "outcome"]),
+  reviewsIngested: createCounter("replypilot_reviews_ingested_total", "Marketplace reviews received by ingestion.", [
+    "platform",
+    "result",
+  ]),
+  draftsPosted: createCounter("replypilot_drafts_posted_total", "Approved drafts sent back to a marketplace.", [
+    "platform",
+    "outcome",
+  ]),
+};
+
+// Once per reply routeReply returns, and once per cache hit. templateReason is set when
+// the reply is the fixed template: "chain" (every provider failed), "guardrail" or "breaker".
+function recordReply({ engine, fallbackUsed }, { lang, platform }, templateReason = null) {
+  metrics.replies.inc({ engine, language: lang, platform });
+  if (fallbackUsed) metrics.fallbacks.inc({ language: lang });
+  if (templateReason) metrics.templateReplies.inc({ language: lang, reason: templateReason });
+}
+
+// Runs before every route: assigns the request id and logs/counts the request when it ends.
+function requestLogger(req, res, next) {
+  const incoming = String(req.get("x-request-id") || "");
+  const requestId = /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    requestContext.run({ requestId }, () =>
+      logEvent("info", "request", {
+        method: req.method,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+        userId: req.user?.id,
+      })
+    );
+  });
+
+  requestContext.run({ requestId }, next);
+}
+
+module.exports = {
+  requestContext,
+  logEvent,
+  metrics,
+  createGauge,
+  renderMetrics,
+  recordReply,
+  requestLogger,
+};
@@ -0,0 +1,107 @@
+// Plan entitlements and PLAN_REQUIRED checks.
+
+const { DAILY_LIMIT } = require("./config");
+
+// ---------- PLANS ----------
+// Entitlements live on the server; the frontend's userPlan flag is display-only.
+const PLANS = {
+  free: {
+    id: "free",
+    name: "Free",
+    dailyLimit: DAILY_LIMIT,
+    languages: ["english", "tagalog", "taglish"],
+    tones: ["friendly", "professional"],
+    platforms: ["shopee", "lazada"],
+    maxVariants: 1,
+  },
+  pro: {
+    id: "pro",
+    name: "Seller Pro",
+    dailyLimit: Number(process.env.PRO_DAILY_LIMIT) || 300,
+    languages: ["auto", "english", "tagalog", "taglish", "vietnamese", "thai", "indonesian", "chinese"],
+    tones: ["friendly", "professional", "apology", "cheerful"],
+    platforms: ["shopee", "lazada", "tiktok", "facebook"],
+    maxVariants: 3,
+  },
+  team: {
+    id: "team",
+    name: "Team",
+    dailyLimit: Number(process.env.TEAM_DAILY_LIMIT) || 1500,
+    languages: ["auto", "english", "tagalog", "taglish", "vietnamese", "thai", "indonesian", "chinese"],
+    tones: ["friendly", "professional", "apology", "cheerful"],
+    platforms: ["shopee", "lazada", "tiktok", "facebook"],
+    maxVariants: 3,
+  },
+};
+
+// Own keys only: PLANS["toString"] would otherwise pass as a plan.
+function isPlanId(id) {
+  return typeof id === "string" && Object.hasOwn(PLANS, id);
+}
+
+function cheapestPlanWith(field, value) {
+  return ["free", "pro", "team"].find((id) => PLANS[id][field].includes(value)) || null;
+}
+
+// A value no plan includes ("amazon", a misspelled tone) is not something to upgrade for.
+// Returns null when every value is known, otherwise a BAD_REQUEST payload; check this
+// before checkPlanAccess so those values get 400 instead of PLAN_REQUIRED.
+function checkKnownOptions({ language, tone, platform }) {
+  const checks = [
+    ["languages", "language", language],
+    ["tones", "tone", tone],
+    ["platforms", "platform", platform],
+  ];
+
+  for (const [field, feature, value] of checks) {
+    const known = [...new Set(Object.values(PLANS).flatMap((plan) => plan[field]))];
+    if (!value || known.includes(value)) continue;
+    return {
+      error: "BAD_REQUEST",
+      details: `Unknown ${feature} "${value}". Use one of: ${known.join(", ")}.`,
+    };
+  }
+
+  return null;
+}
+
+// Returns null when allowed, otherwise the PLAN_REQUIRED payload.
+function checkPlanAccess(plan, { language, tone, platform, variants }) {
+  if (variants > plan.maxVariants) {
+    return {
+      error: "PLAN_REQUIRED",
+      details: `The ${plan.name} plan allows up to ${plan.maxVariants} reply variant(s) per review.`,
+      feature: "variants",
+      value: variants,
+      plan: plan.id,
+      requiredPlan: ["free", "pro", "team"].find((id) => PLANS[id].maxVariants >= variants) || null,
+    };
+  }
+
+  const checks = [
+    ["languages", "language", language],
+    ["tones", "tone", tone],
+    ["platforms", "platform", platform],
+  ];
+
+  for (const [field, feature, value] of checks) {
+    if (!value || plan[field].includes(value)) continue;
+    return {
+      error: "PLAN_REQUIRED",
+      details: `The ${feature} "${value}" is not included in the ${plan.name} plan.`,
+      feature,
+      value,
+      plan: plan.id,
+      requiredPlan: cheapestPlanWith(field, value),
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  PLANS,
+  isPlanId,
+  checkKnownOptions,
+  checkPlanAccess,
+};
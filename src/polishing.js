@@ -0,0 +1,373 @@
+// Reply polishing: platform rules, brand voice, guardrails and ranking.
+
+const { cleanText } = require("./text");
+const { PROBLEM_INTENTS } = require("./analysis");
+
+// ---------- PLATFORM RULES ----------
+// Each marketplace caps reply length, treats emojis differently and has its own policy on
+// pointing buyers elsewhere. polishReply enforces these after the model has answered:
+// sentences with forbidden content are dropped, keepShort uses maxSentences, and the
+// result is cut to maxChars. `closing` is the customary last line, added only when it fits
+// and the review is not a complaint: "Happy shopping!" under an apology reads as sarcasm.
+const PLATFORM_RULES = {
+  shopee: {
+    name: "Shopee",
+    maxChars: 500,
+    maxSentences: 3,
+    emojis: true,
+    forbidden: [/\b(lazada|tiktok|facebook|fb page|messenger|instagram|ig)\b/i, /\b(outside|off) (of )?shopee\b/i],
+    closing: {
+      english: "Happy shopping!",
+      taglish: "Happy shopping po!",
+      tagalog: "Maligayang pamimili po!",
+      vietnamese: "Chúc bạn mua sắm vui vẻ ạ!",
+      thai: "ขอให้สนุกกับการช้อปนะคะ",
+      indonesian: "Selamat berbelanja, Kak!",
+      chinese: "祝您购物愉快！",
+    },
+  },
+  lazada: {
+    name: "Lazada",
+    maxChars: 300,
+    maxSentences: 3,
+    emojis: false,
+    forbidden: [/\b(shopee|tiktok|facebook|fb page|messenger|instagram|ig)\b/i, /\b(outside|off) (of )?lazada\b/i],
+    closing: {
+      english: "Thank you for shopping with us on Lazada!",
+      taglish: "Salamat po sa pag-shop sa Lazada store namin!",
+      tagalog: "Salamat po sa pamimili sa aming Lazada store!",
+      vietnamese: "Cảm ơn bạn đã mua sắm tại shop trên Lazada ạ!",
+      thai: "ขอบคุณที่ช้อปกับร้านเราบน Lazada ค่ะ",
+      indonesian: "Terima kasih sudah belanja di toko kami di Lazada, Kak!",
+      chinese: "感谢您在Lazada店铺购物！",
+    },
+  },
+  tiktok: {
+    name: "TikTok Shop",
+    maxChars: 300,
+    maxSentences: 2,
+    emojis: true,
+    forbidden: [/\b(shopee|lazada|facebook|fb page|messenger|instagram|ig)\b/i, /\b(outside|off) (of )?tiktok\b/i],
+    closing: {
+      english: "See you on our next live!",
+      taglish: "See you po sa next live namin!",
+      tagalog: "Kita-kits po sa susunod naming live!",
+      vietnamese: "Hẹn gặp bạn ở buổi live tiếp theo ạ!",
+      thai: "แล้วพบกันในไลฟ์หน้านะคะ",
+      indonesian: "Sampai jumpa di live berikutnya, Kak!",
+      chinese: "下次直播再见！",
+    },
+  },
+  facebook: {
+    name: "Facebook Marketplace",
+    maxChars: 1000,
+    maxSentences: 3,
+    emojis: true,
+    // Messenger is where Marketplace deals happen, so only the other marketplaces are out.
+    forbidden: [/\b(shopee|lazada|tiktok)\b/i],
+    closing: {
+      english: "Just message us here anytime!",
+      taglish: "Message lang po kayo dito anytime!",
+      tagalog: "Mag-message lang po kayo rito anumang oras!",
+      vietnamese: "Bạn cứ nhắn tin cho shop tại đây bất cứ lúc nào nhé!",
+      thai: "ทักแชทมาได้ตลอดเลยนะคะ",
+      indonesian: "Chat kami di sini kapan saja ya, Kak!",
+      chinese: "欢迎随时在这里给我们留言！",
+    },
+  },
+};
+
+function getPlatformRules(platform) {
+  return PLATFORM_RULES[platform] || PLATFORM_RULES.shopee;
+}
+
+function platformPrompt(platform) {
+  const rules = getPlatformRules(platform);
+  const others = Object.values(PLATFORM_RULES)
+    .filter((r) => r !== rules)
+    .map((r) => r.name)
+    .join(", ");
+
+  return [
+    "",
+    `${rules.name} rules:`,
+    `- Keep the whole reply under ${rules.maxChars} characters and ${rules.maxSentences} sentences.`,
+    rules.emojis ? "- Emojis are allowed but optional." : `- Do not use emojis; ${rules.name} replies are plain text.`,
+    `- Do not mention ${others}, or ask the buyer to continue the conversation anywhere else.`,
+    "",
+  ].join("\n");
+}
+
+// Same approach as applyBrandVoice's neverUse: drop the sentence, not just the word. If every
+// sentence breaks a rule the text is returned as is and validateReply gets the final say.
+function dropForbiddenSentences(s, rules) {
+  if (!s) return s;
+  const allowed = splitSentences(s).filter((sentence) => !rules.forbidden.some((re) => re.test(sentence)));
+  return allowed.length ? allowed.join(" ") : s;
+}
+
+function addPlatformClosing(s, rules, lang, profile, analysis) {
+  const closing = rules.closing[lang];
+  if (!s || !closing || profile?.signOff) return s;
+  if (analysis?.sentiment === "negative" || PROBLEM_INTENTS.includes(analysis?.intent)) return s;
+  if (s.includes(closing) || splitSentences(s).length >= rules.maxSentences) return s;
+
+  const out = lang === "chinese" ? `${s}${closing}` : `${s} ${closing}`;
+  return out.length <= rules.maxChars ? out : s;
+}
+
+// Drops whole trailing sentences until the reply fits; a single over-long sentence is cut at
+// the last word boundary instead.
+function fitPlatformLength(s, maxChars) {
+  if (!s || s.length <= maxChars) return s;
+
+  const sentences = splitSentences(s);
+  while (sentences.length > 1 && sentences.join(" ").length > maxChars) sentences.pop();
+  const out = sentences.join(" ");
+  if (out.length <= maxChars) return out;
+
+  const cut = out.slice(0, maxChars - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxChars / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:]+$/, "")}…`;
+}
+
+function fixCommonTypos(s) {
+  if (!s) return s;
+  return s
+    .replace(/\brecieve\b/gi, "receive")
+    .replace(/\brecieved\b/gi, "received")
+    .replace(/\bthnaks\b/gi, "thanks");
+}
+
+function deCorporate(s, lang) {
+  if (!s) return s;
+
+  if (lang === "taglish" || lang === "tagalog") {
+    return s
+      .replace(/appreciate your business\.?/gi, "Salamat po sa order ninyo!")
+      .replace(/we appreciate your business\.?/gi, "Salamat po sa order ninyo!")
+      .replace(/we hope to serve you again soon\.?/gi, "Sana po makabalik kayo ulit!")
+      .replace(/hope to serve you again soon\.?/gi, "Sana po makabalik kayo ulit!");
+  }
+
+  return s
+    .replace(/we appreciate your business\.?/gi, "Thank you for your order!")
+    .replace(/hope to serve you again soon\.?/gi, "We hope to serve you again again!");
+}
+
+function ensurePoliteTaglish(s, lang) {
+  if (!s) return s;
+  let out = s.trim();
+
+  if (lang === "taglish" && !/\bpo\b|\bopo\b/i.test(out)) {
+    if (/^salamat/i.test(out)) out = out.replace(/^salamat/i, "Salamat po");
+    else out = `${out} Salamat po!`;
+  }
+
+  return out;
+}
+
+// Each check is "does the reply already sound polite in this language?"; if not, the
+// closing line is appended. Chinese swaps the casual 你 for the respectful 您 instead.
+const POLITENESS_RULES = {
+  vietnamese: { check: /ạ|nhé|nha/i, closing: "Shop cảm ơn bạn ạ!" },
+  thai: { check: /ค่ะ|คะ|ครับ/, closing: "ขอบคุณค่ะ" },
+  indonesian: { check: /\bkak\b|\bterima kasih\b|\bmohon\b/i, closing: "Terima kasih, Kak!" },
+};
+
+function ensurePoliteForLanguage(s, lang) {
+  if (!s) return s;
+  if (lang === "taglish" || lang === "tagalog") return ensurePoliteTaglish(s, "taglish");
+  if (lang === "chinese") return s.replace(/你(?!们)/g, "您");
+
+  const rule = POLITENESS_RULES[lang];
+  if (rule && !rule.check.test(s)) return `${s.trim()} ${rule.closing}`;
+  return s;
+}
+
+const MAX_REPLY_SENTENCES = 3;
+
+// CJK full-width punctuation ends a sentence without a following space.
+function splitSentences(s) {
+  return String(s || "").split(/(?<=[.!?])\s+|(?<=[。！？])/).filter(Boolean);
+}
+
+function keepShort(s, maxSentences = MAX_REPLY_SENTENCES) {
+  if (!s) return s;
+  return splitSentences(s)
+    .slice(0, maxSentences)
+    .join(" ")
+    .replace(/([。！？])\s+/g, "$1")
+    .trim();
+}
+
+function polishReply(reply, lang, profile = null, platform = "shopee", analysis = null) {
+  const rules = getPlatformRules(platform);
+  let out = cleanText(reply);
+  out = fixCommonTypos(out);
+  out = deCorporate(out, lang);
+  out = ensurePoliteForLanguage(out, lang);
+  out = dropForbiddenSentences(out, rules);
+  out = keepShort(out, rules.maxSentences);
+  out = applyBrandVoice(out, profile);
+  out = addPlatformClosing(out, rules, lang, profile, analysis);
+  if (!rules.emojis) out = out.replace(EMOJI_PATTERN, "").replace(/\s+([,.!?])/g, "$1");
+  out = out.replace(/\s+/g, " ").trim();
+  out = fitPlatformLength(out, rules.maxChars);
+  return out;
+}
+
+// A seller's own edit keeps its wording: it is only cut to the platform's length limit, and
+// whatever polishReply would have changed comes back as warnings for the seller to judge.
+function fitSellerEdit(reply, platform = "shopee") {
+  const rules = getPlatformRules(platform);
+  const text = cleanText(reply);
+  const warnings = [];
+  if (text.length > rules.maxChars) warnings.push("too_long");
+  if (splitSentences(text).length > rules.maxSentences) warnings.push("too_many_sentences");
+  if (rules.forbidden.some((re) => re.test(text))) warnings.push("off_platform");
+  if (!rules.emojis && text.replace(EMOJI_PATTERN, "") !== text) warnings.push("emojis");
+  return { reply: fitPlatformLength(text, rules.maxChars), warnings };
+}
+
+// ---------- GUARDRAILS ----------
+// buildSystemPrompt forbids these claims; nothing stopped a model from making them anyway.
+// Each rule has an id so the response can say which one fired.
+// A whole month name or abbreviation and a day: "Dec 5", "March 12th". "May" is also Tagalog
+// for "there is" ("May 3 sizes po"), so it only counts after a preposition ("on May 5",
+// "sa May 5") or with a year ("May 5, 2025").
+const MONTH_DAY_PATTERN =
+  /\b(jan|january|feb|february|mar|march|apr|april|jun|june|jul|july|aug|august|sep|sept|september|oct|october|nov|november|dec|december)\.?\s+\d{1,2}(st|nd|rd|th)?\b/;
+const MAY_DAY_PATTERN = /\b(on|by|until|before|after|sa|hanggang|bago)\s+may\s+\d{1,2}\b|\bmay\s+\d{1,2}(st|nd|rd|th)?,?\s+\d{4}\b/;
+const DATE_PATTERN = new RegExp(
+  [
+    MONTH_DAY_PATTERN.source,
+    MAY_DAY_PATTERN.source,
+    /\b\d{1,2}\/\d{1,2}(\/\d{2,4})?\b|\bwithin\s+\d+\s*(business\s+)?(days?|araw)\b|\b\d+\s*-\s*\d+\s*(days|araw)\b/.source,
+  ].join("|"),
+  "i"
+);
+
+const GUARDRAIL_RULES = [
+  { id: "price", pattern: /₱\s?\d|\bphp\s?\d|\b\d[\d,.]*\s?pesos?\b/i },
+  { id: "date", pattern: DATE_PATTERN },
+  { id: "free_shipping", pattern: /\bfree\s+(shipping|delivery)\b|\blibreng\s+(shipping|delivery)\b/i },
+  { id: "cod", pattern: /\bcod\b|\bcash on delivery\b/i },
+  { id: "freebie", pattern: /\bfreebies?\b|\bfree gifts?\b/i },
+  { id: "stock", pattern: /\b(in|on) stock\b|\bmay stock\b|\brestock(ed|ing)?\b/i },
+  { id: "warranty", pattern: /\bwarranty\b/i },
+  {
+    id: "address",
+    pattern: /\b(brgy|barangay|purok|blk|block \d|lot \d)\b|\b\d+\s+[a-z]+\s+(street|st\.|avenue|ave\.|road|rd\.)/i,
+  },
+  { id: "phone", pattern: /(\+?63|\b0)9\d{2}[\s-]?\d{3}[\s-]?\d{4}\b|\b\d{3}[\s-]\d{3,4}[\s-]\d{4}\b/ },
+  {
+    id: "off_platform_link",
+    pattern: /https?:\/\/|\bwww\.|\b[\w-]+\.(com|ph|net|shop|store)\b|\b(viber|whatsapp|telegram|gcash)\b/i,
+  },
+];
+
+// `allowed` lists rule ids a verified product fact has made safe (see guardrailAllowances in products.js).
+function validateReply(reply, allowed = []) {
+  const violations = GUARDRAIL_RULES.filter(
+    (rule) => !allowed.includes(rule.id) && rule.pattern.test(String(reply || ""))
+  ).map((r) => r.id);
+  return { ok: violations.length === 0, violations };
+}
+
+// ---------- VARIANTS & RANKING ----------
+const MAX_VARIANTS = 3;
+// Candidate i is generated at VARIANT_TEMPERATURES[i] so the options actually differ.
+const VARIANT_TEMPERATURES = [0.4, 0.8, 1.0];
+const REPLY_MIN_CHARS = 25;
+const REPLY_MAX_CHARS = 280;
+
+function normalizeVariants(variants) {
+  const n = Math.floor(Number(variants));
+  return Number.isFinite(n) && n > 1 ? n : 1;
+}
+
+function wordSet(s) {
+  return new Set(String(s || "").toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, " ").split(/\s+/).filter(Boolean));
+}
+
+// Jaccard overlap of word sets; 1 = same words.
+function replySimilarity(a, b) {
+  const A = wordSet(a);
+  const B = wordSet(b);
+  if (!A.size && !B.size) return 1;
+  let shared = 0;
+  for (const w of A) if (B.has(w)) shared++;
+  return shared / (A.size + B.size - shared);
+}
+
+function dedupeReplies(candidates, threshold = 0.75) {
+  const kept = [];
+  for (const c of candidates) {
+    if (!kept.some((k) => replySimilarity(k.reply, c.reply) >= threshold)) kept.push(c);
+  }
+  return kept;
+}
+
+// Simple 0-100 score: right length, "po" for Taglish, no forbidden claims.
+function scoreReply(reply, lang, allowed = []) {
+  let score = 100;
+  const len = String(reply || "").length;
+
+  if (len < REPLY_MIN_CHARS) score -= 30;
+  if (len > REPLY_MAX_CHARS) score -= 20;
+  if (splitSentences(reply).length > MAX_REPLY_SENTENCES) score -= 20;
+  if ((lang === "taglish" || lang === "tagalog") && !/\bpo\b|\bopo\b/i.test(reply)) score -= 25;
+  score -= 50 * validateReply(reply, allowed).violations.length;
+
+  return Math.max(0, score);
+}
+
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\u{FE0F}\u{200D}]/gu;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Runs after keepShort so the sign-off never gets trimmed off as a 4th sentence.
+function applyBrandVoice(s, profile) {
+  if (!s || !profile) return s;
+  let out = s;
+
+  if (!profile.emojis) out = out.replace(EMOJI_PATTERN, "");
+
+  // Drop sentences that use a banned word; cutting the word alone leaves broken grammar.
+  // If every sentence has one, cut the words as a last resort.
+  if (profile.neverUse.length) {
+    const banned = new RegExp(
+      `(^|[^\\p{L}])(${profile.neverUse.map(escapeRegExp).join("|")})(?=$|[^\\p{L}])`,
+      "giu"
+    );
+    const hasBanned = (sentence) => sentence.search(banned) !== -1;
+    const clean = splitSentences(out).filter((sentence) => !hasBanned(sentence));
+    out = clean.length ? clean.join(" ") : out.replace(banned, "$1");
+  }
+
+  out = out.replace(/\s+([,.!?])/g, "$1").replace(/\s+/g, " ").trim();
+
+  if (profile.signOff && !out.toLowerCase().includes(profile.signOff.toLowerCase())) {
+    out = `${out} ${profile.signOff}`;
+  }
+
+  return out;
+}
+
+module.exports = {
+  polishReply,
+  fitSellerEdit,
+  PLATFORM_RULES,
+  getPlatformRules,
+  platformPrompt,
+  validateReply,
+  MAX_VARIANTS,
+  VARIANT_TEMPERATURES,
+  normalizeVariants,
+  dedupeReplies,
+  scoreReply,
+  escapeRegExp,
+};
@@ -0,0 +1,88 @@
+// Per-seller product catalog and verified facts.
+
+const path = require("path");
+
+const { ROOT_DIR } = require("./config");
+const { RECORD_STORE, createRecordStore } = require("./stores");
+const { cleanText } = require("./text");
+
+// ---------- PRODUCT CATALOG ----------
+// Seller-registered facts per product, keyed by the seller's own product id (SKU, listing
+// id): { id, userId, productId, name, facts: [{ type, text, verified }], updatedAt }.
+// Pass productId to /api/generate-reply (or batch/stream/CSV items) and the verified facts
+// go into buildUserPrompt. Unverified facts are stored but never shown to a model, so a
+// seller can import a catalog first and confirm it line by line.
+const PRODUCTS_STORE_PATH = process.env.PRODUCTS_STORE_PATH || path.join(ROOT_DIR, "data", "products.json");
+const MAX_PRODUCTS_PER_USER = Number(process.env.MAX_PRODUCTS_PER_USER) || 500;
+const MAX_FACTS_PER_PRODUCT = 30;
+const PRODUCT_FACT_TYPES = ["variant", "size", "material", "care", "warranty", "other"];
+
+// A verified fact of this type lets replies mention what the guardrail rule forbids.
+const FACT_GUARDRAIL_ALLOWANCES = { warranty: "warranty" };
+
+const productStore = createRecordStore(RECORD_STORE, PRODUCTS_STORE_PATH, "products");
+
+const productRecordId = (userId, productId) => `${userId}/${productId}`;
+
+function normalizeProductId(v) {
+  const s = cleanText(v);
+  return /^[\w.-]{1,64}$/.test(s) ? s : "";
+}
+
+function getOwnProduct(userId, productId) {
+  const id = normalizeProductId(productId);
+  return id ? productStore.get(productRecordId(userId, id)) : null;
+}
+
+function verifiedFacts(product) {
+  return (product?.facts || []).filter((f) => f.verified);
+}
+
+function guardrailAllowances(product) {
+  return [...new Set(verifiedFacts(product).map((f) => FACT_GUARDRAIL_ALLOWANCES[f.type]).filter(Boolean))];
+}
+
+// Returns { fields } or { error } for a PUT body.
+function normalizeProductInput(body) {
+  const name = cleanText(body?.name).replace(/\s+/g, " ").slice(0, 120);
+  if (!name) return { error: "name is required" };
+  if (body?.facts !== undefined && !Array.isArray(body.facts)) return { error: "facts must be an array" };
+
+  const facts = [];
+  for (const [i, fact] of (body?.facts || []).entries()) {
+    const type = String(fact?.type || "other").toLowerCase().trim();
+    const text = cleanText(fact?.text).slice(0, 200);
+    if (!PRODUCT_FACT_TYPES.includes(type)) {
+      return { error: `facts[${i}].type must be one of ${PRODUCT_FACT_TYPES.join(", ")}` };
+    }
+    if (!text) return { error: `facts[${i}].text is required` };
+    facts.push({ type, text, verified: fact?.verified === true });
+  }
+  if (facts.length > MAX_FACTS_PER_PRODUCT) {
+    return { error: `A product can have at most ${MAX_FACTS_PER_PRODUCT} facts` };
+  }
+
+  return { fields: { name, facts } };
+}
+
+function productFactsPrompt(product) {
+  const facts = verifiedFacts(product);
+  if (!facts.length) return "";
+
+  return [
+    "Verified product facts (you may state these exactly; do not add to them):",
+    ...facts.map((f) => `- ${f.type}: ${f.text}`),
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  MAX_PRODUCTS_PER_USER,
+  productStore,
+  productRecordId,
+  normalizeProductId,
+  getOwnProduct,
+  guardrailAllowances,
+  normalizeProductInput,
+  productFactsPrompt,
+};
@@ -0,0 +1,73 @@
+// Brand voice profiles.
+
+const path = require("path");
+
+const { ROOT_DIR } = require("./config");
+const { RECORD_STORE, createRecordStore } = require("./stores");
+const { cleanText } = require("./text");
+
+// ---------- BRAND PROFILES ----------
+// A seller's brand voice: { id, userId, name, shopName, signOff, emojis, alwaysUse[],
+// neverUse[], examples[] }. Pass profileId to /api/generate-reply (or batch/stream/CSV items)
+// and it is merged into buildSystemPrompt and polishReply.
+const PROFILES_STORE_PATH = process.env.PROFILES_STORE_PATH || path.join(ROOT_DIR, "data", "profiles.json");
+const MAX_PROFILES_PER_USER = 20;
+
+const profileStore = createRecordStore(RECORD_STORE, PROFILES_STORE_PATH, "profiles");
+
+function getOwnProfile(userId, profileId) {
+  const profile = profileStore.get(String(profileId));
+  return profile && profile.userId === userId ? profile : null;
+}
+
+function cleanStringList(v, maxItems, maxLength) {
+  if (!Array.isArray(v)) return [];
+  return v
+    .map((item) => cleanText(item).slice(0, maxLength))
+    .filter(Boolean)
+    .slice(0, maxItems);
+}
+
+// Returns { fields } or { error } for a create/update body.
+function normalizeProfileInput(body) {
+  const name = cleanText(body?.name).slice(0, 60);
+  const shopName = cleanText(body?.shopName).slice(0, 60);
+  if (!name && !shopName) return { error: "name or shopName is required" };
+
+  return {
+    fields: {
+      name: name || shopName,
+      shopName,
+      signOff: cleanText(body?.signOff).slice(0, 80),
+      emojis: body?.emojis === true,
+      alwaysUse: cleanStringList(body?.alwaysUse, 20, 40),
+      neverUse: cleanStringList(body?.neverUse, 20, 40),
+      examples: cleanStringList(body?.examples, 5, 300),
+    },
+  };
+}
+
+function brandVoicePrompt(profile) {
+  if (!profile) return "";
+
+  const lines = ["", "Brand voice:"];
+  if (profile.shopName) lines.push(`- You reply on behalf of the shop "${profile.shopName}".`);
+  lines.push(profile.emojis ? "- One or two fitting emojis are welcome." : "- Do not use emojis.");
+  if (profile.alwaysUse.length) lines.push(`- Work in these words when natural: ${profile.alwaysUse.join(", ")}.`);
+  if (profile.neverUse.length) lines.push(`- Never use these words: ${profile.neverUse.join(", ")}.`);
+  if (profile.signOff) lines.push("- Do not add a sign-off; the shop's signature is added automatically.");
+  if (profile.examples.length) {
+    lines.push("- Match the style of these past replies:");
+    profile.examples.forEach((ex) => lines.push(`  "${ex}"`));
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  MAX_PROFILES_PER_USER,
+  profileStore,
+  getOwnProfile,
+  normalizeProfileInput,
+  brandVoicePrompt,
+};
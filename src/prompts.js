@@ -0,0 +1,140 @@
+// Prompt building and the fixed template replies.
+
+const { QUESTION_INTENTS, effectiveRating } = require("./analysis");
+const { brandVoicePrompt } = require("./profiles");
+const { productFactsPrompt } = require("./products");
+const { platformPrompt } = require("./polishing");
+
+const LANGUAGE_PROMPT_LINES = {
+  english: "Write in natural, simple English used by online sellers.",
+  taglish: "Write in natural Filipino seller Taglish used in the Philippines.",
+  tagalog: "Write in natural, polite Filipino (Tagalog) with po/opo; avoid English words where a common Filipino word exists.",
+  vietnamese: "Write in natural, polite Vietnamese as a Shopee/Lazada shop in Vietnam would, ending politely with \"ạ\" where it fits.",
+  thai: "Write in natural, polite Thai as an online shop in Thailand would, using the polite particle ค่ะ.",
+  indonesian: "Write in natural, friendly Indonesian as an online seller would, addressing the buyer as \"Kak\".",
+  chinese: "Write in natural Simplified Chinese as a polite online shop would, addressing the buyer as 您.",
+};
+
+// strictRules: guardrail ids the previous attempt broke; adds a pointed reminder.
+// profile: the seller's brand voice (see BRAND PROFILES in profiles.js), if the request named one.
+function buildSystemPrompt({ language, tone, platform, strictRules = [], profile = null }) {
+  const toneLine =
+    tone === "professional"
+      ? "Sound professional but still warm."
+      : tone === "apology"
+      ? "Sound apologetic, calm, and helpful."
+      : tone === "cheerful"
+      ? "Sound cheerful, upbeat, and friendly."
+      : "Sound friendly, natural, and human.";
+
+  const langLine = LANGUAGE_PROMPT_LINES[language] || LANGUAGE_PROMPT_LINES.english;
+
+  return `
+You are ReplyPilot, an AI assistant for online marketplace sellers in the Philippines and Southeast Asia.
+${toneLine}
+${langLine}
+
+Rules:
+- Reply in 1 to 3 short sentences only.
+- Sound human, warm, and realistic.
+- Never sound overly corporate or robotic.
+- Never invent details such as price, stock, warranty, shipping dates, COD, freebies, or location.
+- If the customer is asking for missing info like stock, size, color, shipping, or availability, ask one short clarifying question instead of inventing an answer.
+- Verified product facts in the request may be stated as given; anything not listed there counts as missing info.
+- If the review is positive, thank the customer naturally.
+- If neutral, acknowledge and invite feedback.
+- If negative, apologize briefly and invite them to message for help.
+${platformPrompt(platform)}${brandVoicePrompt(profile)}${
+  strictRules.length
+    ? `
+IMPORTANT: your last reply was rejected for mentioning: ${strictRules.join(", ")}.
+Do not mention any price, date, delivery time, free shipping, COD, freebies, stock, warranty,
+address, phone number, link, or other app. Keep the customer on the marketplace chat.`
+    : ""
+}`.trim();
+}
+
+function buildUserPrompt({ reviewText, productName, rating, tone, language, platform, analysis = null, product = null }) {
+  const productLine = productName ? `Product: ${productName}\n` : "";
+  const factsBlock = productFactsPrompt(product);
+  const intentLine = analysis ? `Review intent: ${analysis.intent.replace(/_/g, " ")} (${analysis.sentiment})\n` : "";
+  const mismatchLine = analysis?.ratingMismatch
+    ? "Note: the star rating does not match the review text. Reply to what the text says.\n"
+    : "";
+
+  return `
+Platform: ${platform || "shopee"}
+Tone: ${tone}
+Rating: ${rating} star(s)
+Language: ${language}
+${productLine}${factsBlock}${intentLine}${mismatchLine}Customer review:
+"${reviewText}"
+
+Write a short seller reply.
+`.trim();
+}
+
+// [positive (4-5), neutral (3), negative (1-2), question] per language; p is " (Product)" or "".
+const REPLY_TEMPLATES = {
+  english: [
+    (p) => `Thank you so much for your feedback${p}! We truly appreciate your support.`,
+    (p) => `Thanks for the feedback${p}. Could you share what we can improve to serve you better?`,
+    (p) => `We’re sorry about your experience${p}. Please message us so we can help and make this right.`,
+    (p) => `Thanks for your question${p}! Please send us a message and we’ll check the details for you.`,
+  ],
+  taglish: [
+    (p) => `Salamat po sa feedback ninyo${p}! Masaya po kami na natuwa kayo. Sana po makabalik kayo ulit!`,
+    (p) => `Salamat po sa feedback${p}. Puwede po ba namin malaman kung ano pa ang puwede naming i-improve?`,
+    (p) => `Pasensya na po sa abala${p}. Paki-message po kami para maayos namin agad at matulungan kayo.`,
+    (p) => `Salamat po sa tanong${p}! Paki-message po kami para ma-check namin ang details para sa inyo.`,
+  ],
+  tagalog: [
+    (p) => `Maraming salamat po sa inyong puna${p}! Natutuwa po kami na nagustuhan ninyo. Sana po ay bumalik kayo muli!`,
+    (p) => `Salamat po sa inyong puna${p}. Maaari po ba naming malaman kung ano pa ang aming mapapabuti?`,
+    (p) => `Paumanhin po sa abala${p}. Mag-message po kayo sa amin upang maayos namin ito agad.`,
+    (p) => `Salamat po sa inyong tanong${p}! Mag-message po kayo sa amin at titingnan namin ito para sa inyo.`,
+  ],
+  vietnamese: [
+    (p) => `Cảm ơn bạn rất nhiều vì đã đánh giá${p}! Shop rất vui khi bạn hài lòng. Hẹn gặp lại bạn lần sau ạ!`,
+    (p) => `Cảm ơn bạn đã góp ý${p}. Bạn có thể chia sẻ thêm để shop cải thiện tốt hơn không ạ?`,
+    (p) => `Shop thành thật xin lỗi vì trải nghiệm chưa tốt${p}. Bạn vui lòng nhắn tin cho shop để được hỗ trợ ngay ạ.`,
+    (p) => `Cảm ơn bạn đã hỏi${p}! Bạn vui lòng nhắn tin cho shop để shop kiểm tra thông tin giúp bạn ạ.`,
+  ],
+  thai: [
+    (p) => `ขอบคุณมากสำหรับรีวิว${p}ค่ะ! ทางร้านดีใจที่คุณลูกค้าพอใจ แล้วพบกันใหม่นะคะ`,
+    (p) => `ขอบคุณสำหรับความคิดเห็น${p}ค่ะ รบกวนบอกทางร้านได้ไหมคะว่าควรปรับปรุงตรงไหน`,
+    (p) => `ทางร้านต้องขออภัยเป็นอย่างสูง${p}ค่ะ รบกวนทักแชทหาร้านเพื่อให้เราช่วยแก้ไขให้นะคะ`,
+    (p) => `ขอบคุณที่สอบถาม${p}ค่ะ รบกวนทักแชทหาร้าน เดี๋ยวทางร้านเช็กข้อมูลให้นะคะ`,
+  ],
+  indonesian: [
+    (p) => `Terima kasih banyak atas ulasannya${p}, Kak! Kami senang Kakak puas. Ditunggu order berikutnya ya!`,
+    (p) => `Terima kasih atas masukannya${p}, Kak. Boleh diceritakan apa yang bisa kami tingkatkan?`,
+    (p) => `Mohon maaf atas ketidaknyamanannya${p}, Kak. Silakan chat kami agar bisa segera kami bantu.`,
+    (p) => `Terima kasih atas pertanyaannya${p}, Kak! Silakan chat kami, nanti kami cek detailnya ya.`,
+  ],
+  chinese: [
+    (p) => `非常感谢您的好评${p}！很高兴您喜欢，期待您再次光临！`,
+    (p) => `感谢您的反馈${p}。请问有什么地方我们可以做得更好吗？`,
+    (p) => `非常抱歉给您带来不好的体验${p}。请通过平台聊天联系我们，我们会尽快为您处理。`,
+    (p) => `感谢您的咨询${p}！请通过平台聊天联系我们，我们会为您确认详细信息。`,
+  ],
+};
+
+// With an analyzeReview() result, questions get the question template and the branch
+// follows effectiveRating, so a 5-star "wrong size sent" gets the apology.
+function templateReply({ rating = 5, language = "english", productName = "", analysis = null }) {
+  const p = productName ? ` (${productName})` : "";
+  const r = effectiveRating(rating, analysis);
+  const [positive, neutral, negative, question] = REPLY_TEMPLATES[language] || REPLY_TEMPLATES.english;
+
+  if (analysis && QUESTION_INTENTS.includes(analysis.intent)) return question(p);
+  if (r >= 4) return positive(p);
+  if (r === 3) return neutral(p);
+  return negative(p);
+}
+
+module.exports = {
+  buildSystemPrompt,
+  buildUserPrompt,
+  templateReply,
+};
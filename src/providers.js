@@ -0,0 +1,187 @@
+// AI clients, the provider registry and per-language provider chains.
+
+const Groq = require("groq-sdk");
+const OpenAI = require("openai");
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const { GEMINI_API_KEY, GEMINI_MODEL, GROQ_API_KEY, GROQ_MODEL, OPENAI_API_KEY, OPENAI_MODEL } = require("./config");
+const { logEvent } = require("./observability");
+const { breaker, newBreaker } = require("./breaker");
+const { buildSystemPrompt, buildUserPrompt, templateReply } = require("./prompts");
+
+// ---------- AI CLIENTS ----------
+const groq = GROQ_API_KEY ? new Groq({ apiKey: GROQ_API_KEY }) : null;
+const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI(GEMINI_API_KEY) : null;
+const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
+
+// ---------- AI FUNCTIONS ----------
+// Both generators accept an optional { onToken } and then stream the completion,
+// calling onToken(text) per chunk; the resolved value is the full text either way.
+// { signal } is safeCall's timeout AbortSignal and is handed to the SDK request.
+// params: { reviewText, productName, rating, tone, language, platform, temperature?,
+// strictRules?, profile? } — passed whole to the prompt builders.
+async function generateWithGemini(params, { onToken, signal } = {}) {
+  if (!genAI) throw new Error("Gemini API Key Missing");
+
+  const { temperature } = params;
+  const model = genAI.getGenerativeModel({
+    model: GEMINI_MODEL,
+    systemInstruction: buildSystemPrompt(params),
+    ...(temperature !== undefined ? { generationConfig: { temperature } } : {}),
+  });
+
+  const prompt = buildUserPrompt(params);
+
+  if (onToken) {
+    const result = await model.generateContentStream(prompt, { signal });
+    let text = "";
+    for await (const chunk of result.stream) {
+      const piece = chunk?.text?.() || "";
+      if (!piece) continue;
+      text += piece;
+      onToken(piece);
+    }
+    return text.trim();
+  }
+
+  const result = await model.generateContent(prompt, { signal });
+  const text = result?.response?.text?.() || "";
+  return String(text).trim();
+}
+
+// Groq and OpenAI share the chat-completions API shape.
+async function runChatCompletion(client, model, { system, userPrompt, temperature }, { onToken, signal } = {}) {
+  const request = {
+    model,
+    temperature,
+    max_tokens: 220,
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: userPrompt },
+    ],
+  };
+
+  if (onToken) {
+    const stream = await client.chat.completions.create({ ...request, stream: true }, { signal });
+    let text = "";
+    for await (const chunk of stream) {
+      const piece = chunk?.choices?.[0]?.delta?.content || "";
+      if (!piece) continue;
+      text += piece;
+      onToken(piece);
+    }
+    return text.trim();
+  }
+
+  const completion = await client.chat.completions.create(request, { signal });
+
+  return completion?.choices?.[0]?.message?.content?.trim() || "";
+}
+
+async function generateWithGroq(params, opts = {}) {
+  if (!groq) throw new Error("Groq API Key Missing");
+
+  return runChatCompletion(
+    groq,
+    GROQ_MODEL,
+    { system: buildSystemPrompt(params), userPrompt: buildUserPrompt(params), temperature: params.temperature ?? 0.4 },
+    opts
+  );
+}
+
+async function generateWithOpenAI(params, opts = {}) {
+  if (!openai) throw new Error("OpenAI API Key Missing");
+
+  return runChatCompletion(
+    openai,
+    OPENAI_MODEL,
+    { system: buildSystemPrompt(params), userPrompt: buildUserPrompt(params), temperature: params.temperature ?? 0.4 },
+    opts
+  );
+}
+
+// ---------- PROVIDER REGISTRY ----------
+// Every provider has the same interface:
+//   { name, model, configured(), generate(params, { onToken, signal }) -> Promise<string> }
+// and is always called through safeCall(name, ...) so it gets a circuit breaker and a timeout.
+const providers = {};
+
+function registerProvider(provider) {
+  providers[provider.name] = provider;
+  breaker[provider.name] = breaker[provider.name] || newBreaker();
+}
+
+registerProvider({
+  name: "groq",
+  model: GROQ_MODEL,
+  configured: () => !!groq,
+  generate: generateWithGroq,
+});
+
+registerProvider({
+  name: "gemini",
+  model: GEMINI_MODEL,
+  configured: () => !!genAI,
+  generate: generateWithGemini,
+});
+
+registerProvider({
+  name: "openai",
+  model: OPENAI_MODEL,
+  configured: () => !!openai,
+  generate: generateWithOpenAI,
+});
+
+registerProvider({
+  name: "template",
+  model: null,
+  configured: () => true,
+  generate: async ({ rating, language, productName, analysis }) =>
+    templateReply({ rating, language, productName, analysis }),
+});
+
+// ROUTE_<LANGUAGE>="gemini,groq,template" overrides a chain; "template" is always
+// appended so every chain ends with something that cannot fail.
+const DEFAULT_ROUTES = {
+  english: ["groq", "template"],
+  taglish: ["gemini", "groq", "template"],
+  tagalog: ["gemini", "groq", "template"],
+  vietnamese: ["gemini", "openai", "groq", "template"],
+  thai: ["gemini", "openai", "groq", "template"],
+  indonesian: ["gemini", "groq", "template"],
+  chinese: ["gemini", "openai", "groq", "template"],
+};
+
+function parseRoute(value, fallback) {
+  const names = String(value || "")
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter((n) => !providers[n]);
+  if (unknown.length) logEvent("warn", "route_unknown_providers", { providers: unknown });
+
+  const chain = names.filter((n) => providers[n]);
+  const route = chain.length ? chain : fallback;
+  return route.includes("template") ? route : [...route, "template"];
+}
+
+const ROUTES = Object.fromEntries(
+  Object.entries(DEFAULT_ROUTES).map(([lang, chain]) => [
+    lang,
+    parseRoute(process.env[`ROUTE_${lang.toUpperCase()}`], chain),
+  ])
+);
+
+function getRoute(lang) {
+  return ROUTES[lang] || ROUTES.english;
+}
+
+module.exports = {
+  groq,
+  genAI,
+  openai,
+  providers,
+  ROUTES,
+  getRoute,
+};
@@ -0,0 +1,81 @@
+// Per-IP and per-user token-bucket rate limits.
+
+const { metrics } = require("./observability");
+
+// ---------- RATE LIMITING ----------
+// Token buckets: each key (client IP, or user id once authenticated) holds up to `burst`
+// tokens and regains `perMinute` of them per minute; a request spends one. This is about
+// request bursts — the daily quota is separate (see reserveUsage in usage.js). req.ip depends on
+// TRUST_PROXY: with `true` any client can pick its own IP through X-Forwarded-For, so set
+// it to the number of proxies in front of the app.
+const RATE_LIMIT_IP_PER_MIN = Number(process.env.RATE_LIMIT_IP_PER_MIN) || 120;
+const RATE_LIMIT_IP_BURST = Number(process.env.RATE_LIMIT_IP_BURST) || 30;
+const RATE_LIMIT_USER_PER_MIN = Number(process.env.RATE_LIMIT_USER_PER_MIN) || 60;
+const RATE_LIMIT_USER_BURST = Number(process.env.RATE_LIMIT_USER_BURST) || 10;
+
+function createTokenBucket({ perMinute, burst }) {
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60000;
+
+  const refill = (b, now) => {
+    b.tokens = Math.min(burst, b.tokens + (now - b.at) * refillPerMs);
+    b.at = now;
+  };
+
+  return {
+    // Returns { ok: true } or { ok: false, retryAfterMs }.
+    take(key) {
+      const now = Date.now();
+      const b = buckets.get(key) || { tokens: burst, at: now };
+      refill(b, now);
+      buckets.set(key, b);
+
+      if (b.tokens >= 1) {
+        b.tokens -= 1;
+        return { ok: true };
+      }
+      return { ok: false, retryAfterMs: Math.ceil((1 - b.tokens) / refillPerMs) };
+    },
+    // A full bucket is the same as no bucket, so idle keys can be dropped.
+    prune() {
+      const now = Date.now();
+      for (const [key, b] of buckets) {
+        refill(b, now);
+        if (b.tokens >= burst) buckets.delete(key);
+      }
+    },
+  };
+}
+
+const ipBuckets = createTokenBucket({ perMinute: RATE_LIMIT_IP_PER_MIN, burst: RATE_LIMIT_IP_BURST });
+const userBuckets = createTokenBucket({ perMinute: RATE_LIMIT_USER_PER_MIN, burst: RATE_LIMIT_USER_BURST });
+
+setInterval(() => {
+  ipBuckets.prune();
+  userBuckets.prune();
+}, 60 * 1000).unref();
+
+function sendRateLimited(res, scope, retryAfterMs) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  metrics.rateLimited.inc({ scope });
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: "RATE_LIMITED",
+    details: `Too many requests. Try again in ${retryAfter} second(s).`,
+    scope,
+    retryAfter,
+  });
+}
+
+// Runs before authentication, so it also slows down API key guessing.
+function limitByIp(req, res, next) {
+  const result = ipBuckets.take(req.ip || "unknown");
+  if (!result.ok) return sendRateLimited(res, "ip", result.retryAfterMs);
+  return next();
+}
+
+module.exports = {
+  userBuckets,
+  sendRateLimited,
+  limitByIp,
+};
@@ -0,0 +1,15 @@
+// Response helpers shared by the routes.
+
+// ---------- SAFE RESPONSE HELPERS ----------
+function ok(res, payload) {
+  return res.status(200).json({ ok: true, ...payload });
+}
+
+function softFail(res, payload) {
+  return res.status(200).json({ ok: false, ...payload });
+}
+
+module.exports = {
+  ok,
+  softFail,
+};
@@ -0,0 +1,185 @@
+// Operator API under /admin.
+
+const crypto = require("crypto");
+const express = require("express");
+
+const { cleanKey } = require("../config");
+const { logEvent } = require("../observability");
+const { ok } = require("../responses");
+const { breaker, breakerView, markOk } = require("../breaker");
+const { isPlanId } = require("../plans");
+const { hashApiKey, issueApiKey, normalizeUserId, userStore } = require("../users");
+const { getUsageInfo, resetUsageIfNewDay, usageStore, getUsageDate } = require("../usage");
+const { newestFirst } = require("../text");
+const { jobStore, jobView, retryDeadJob } = require("../jobs");
+const { POSTING_ADAPTER, fakePosts } = require("../approval");
+
+// ---------- ADMIN ROUTES ----------
+// Everything under /admin needs `Authorization: Bearer $ADMIN_API_KEY`.
+// With no ADMIN_API_KEY set the admin API stays switched off.
+const ADMIN_API_KEY = cleanKey(process.env.ADMIN_API_KEY);
+const admin = express.Router();
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ error: "ADMIN_DISABLED", details: "ADMIN_API_KEY is not configured." });
+  }
+
+  const given = Buffer.from(hashApiKey(cleanKey(req.get("authorization"))));
+  const expected = Buffer.from(hashApiKey(ADMIN_API_KEY));
+  if (!crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: "UNAUTHORIZED", details: "Invalid admin key." });
+  }
+
+  return next();
+}
+
+function adminUserView(user) {
+  const { keyHash, ...rest } = user;
+  return {
+    ...rest,
+    hasApiKey: !!keyHash,
+    usage: getUsageInfo(user.id),
+    history: usageStore.history(user.id),
+  };
+}
+
+function findUserOr404(req, res) {
+  const user = userStore.get(normalizeUserId(req.params.id));
+  if (!user) res.status(404).json({ error: "NOT_FOUND", details: "Unknown user." });
+  return user;
+}
+
+admin.use(requireAdmin);
+
+admin.get("/users", (req, res) => {
+  resetUsageIfNewDay();
+  return ok(res, { users: userStore.list().map(adminUserView) });
+});
+
+admin.post("/users", (req, res) => {
+  const id = normalizeUserId(req.body?.id);
+  const plan = String(req.body?.plan || "free").toLowerCase().trim();
+
+  if (!/^[a-z0-9_.-]{2,64}$/.test(id)) {
+    return res.status(400).json({ error: "BAD_REQUEST", details: "id must be 2-64 chars of a-z, 0-9, _ . -" });
+  }
+  // Ids are used as object keys in the usage and record stores.
+  if (id in Object.prototype) {
+    return res.status(400).json({ error: "BAD_REQUEST", details: `Reserved user id: ${id}` });
+  }
+  if (!isPlanId(plan)) {
+    return res.status(400).json({ error: "BAD_REQUEST", details: `Unknown plan: ${plan}` });
+  }
+  if (userStore.get(id)) {
+    return res.status(409).json({ error: "CONFLICT", details: "User already exists." });
+  }
+
+  userStore.upsert(id, { plan, status: "active" });
+  const apiKey = issueApiKey(id);
+  return res.status(201).json({ ok: true, user: adminUserView(userStore.get(id)), apiKey });
+});
+
+// Accepts any of { plan, status, dailyLimit }; dailyLimit: null goes back to the plan default.
+admin.patch("/users/:id", (req, res) => {
+  const user = findUserOr404(req, res);
+  if (!user) return;
+
+  const fields = {};
+  const { plan, status, dailyLimit } = req.body || {};
+
+  if (plan !== undefined) {
+    if (!isPlanId(plan)) return res.status(400).json({ error: "BAD_REQUEST", details: `Unknown plan: ${plan}` });
+    fields.plan = plan;
+  }
+  if (status !== undefined) {
+    if (!["active", "revoked"].includes(status)) {
+      return res.status(400).json({ error: "BAD_REQUEST", details: "status must be active or revoked" });
+    }
+    fields.status = status;
+  }
+  if (dailyLimit !== undefined) {
+    if (dailyLimit !== null && !(Number.isInteger(dailyLimit) && dailyLimit >= 0)) {
+      return res.status(400).json({ error: "BAD_REQUEST", details: "dailyLimit must be a non-negative integer or null" });
+    }
+    fields.dailyLimit = dailyLimit === null ? undefined : dailyLimit;
+  }
+
+  return ok(res, { user: adminUserView(userStore.upsert(user.id, fields)) });
+});
+
+admin.post("/users/:id/revoke", (req, res) => {
+  const user = findUserOr404(req, res);
+  if (!user) return;
+  return ok(res, { user: adminUserView(userStore.upsert(user.id, { status: "revoked" })) });
+});
+
+// Rotates the key: the old one stops working immediately.
+admin.post("/users/:id/api-key", (req, res) => {
+  const user = findUserOr404(req, res);
+  if (!user) return;
+  const apiKey = issueApiKey(user.id);
+  return ok(res, { user: adminUserView(userStore.get(user.id)), apiKey });
+});
+
+admin.post("/users/:id/reset-usage", (req, res) => {
+  const user = findUserOr404(req, res);
+  if (!user) return;
+  resetUsageIfNewDay();
+  usageStore.reset(getUsageDate(), user.id);
+  return ok(res, { user: adminUserView(user) });
+});
+
+admin.get("/breakers", (req, res) => {
+  return ok(res, { breakers: breakerView() });
+});
+
+// Dead-letter queue: GET /admin/jobs?status=dead&type=reply
+admin.get("/jobs", (req, res) => {
+  const { status, type, userId } = req.query;
+  const jobs = jobStore
+    .list((j) => !j.parentId || j.status === "dead")
+    .filter((j) => (!status || j.status === status) && (!type || j.type === type) && (!userId || j.userId === userId))
+    .sort(newestFirst)
+    .map((j) => ({ ...jobView(j), userId: j.userId, payload: j.payload }));
+  return ok(res, { jobs });
+});
+
+admin.post("/jobs/:id/retry", (req, res) => {
+  const job = jobStore.get(String(req.params.id));
+  if (!job) return res.status(404).json({ error: "JOB_NOT_FOUND", details: "Unknown job." });
+  if (job.status !== "dead") {
+    return res.status(409).json({ error: "INVALID_STATUS", details: `Only dead jobs can be retried; this one is ${job.status}.` });
+  }
+  logEvent("info", "admin_job_retry", { jobId: job.id, type: job.type });
+  return ok(res, { job: jobView(retryDeadJob(job)) });
+});
+
+// Replies "posted" while POSTING_ADAPTER=fake.
+admin.get("/fake-posts", (req, res) => {
+  return ok(res, { adapter: POSTING_ADAPTER, posts: fakePosts });
+});
+
+// { state: "open", minutes?: 30 } disables a provider; { state: "closed" } clears it.
+admin.post("/breakers/:name", (req, res) => {
+  const name = String(req.params.name || "").toLowerCase();
+  if (!Object.hasOwn(breaker, name)) {
+    return res.status(404).json({ error: "NOT_FOUND", details: `Unknown breaker: ${name}` });
+  }
+
+  const state = req.body?.state;
+  if (state === "closed") {
+    markOk(name);
+  } else if (state === "open") {
+    const minutes = Number(req.body?.minutes) > 0 ? Number(req.body.minutes) : 30;
+    breaker[name].state = "open";
+    breaker[name].downUntil = Date.now() + minutes * 60 * 1000;
+  } else {
+    return res.status(400).json({ error: "BAD_REQUEST", details: "state must be open or closed" });
+  }
+
+  logEvent("info", "admin_breaker_set", { provider: name, state });
+  return ok(res, { name, breaker: breakerView()[name] });
+});
+
+module.exports = admin;
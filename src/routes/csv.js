@@ -0,0 +1,201 @@
+// CSV import/export route.
+
+const express = require("express");
+
+const { logEvent } = require("../observability");
+const { softFail } = require("../responses");
+const { requireUser } = require("../users");
+const { getUsageInfo, resetUsageIfNewDay } = require("../usage");
+const { cleanText } = require("../text");
+const { getOwnProduct } = require("../products");
+const { generateBatchItems } = require("../routing");
+
+const router = express.Router();
+
+// ---------- CSV IMPORT / EXPORT ----------
+// POST a Shopee/Lazada review export (text/csv, or JSON { csv }) and get the same
+// CSV back with reply, engine, language and error columns appended.
+const CSV_MAX_ROWS = Number(process.env.CSV_MAX_ROWS) || 200;
+
+// Seller-center exports name the same column differently; match on a squashed header.
+const CSV_COLUMN_ALIASES = {
+  reviewText: ["reviewtext", "review", "reviewcontent", "comment", "comments", "content", "buyerreview"],
+  rating: ["rating", "productrating", "stars", "star", "score"],
+  productName: ["productname", "product", "itemname", "item", "producttitle"],
+  orderId: ["orderid", "orderno", "ordernumber", "ordersn"],
+  productId: ["productid", "sku", "sellersku", "itemid"],
+};
+
+// RFC 4180: quoted fields may hold commas, newlines and "" escapes.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+function csvField(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  return rows.map((r) => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+function mapCsvColumns(header) {
+  const squashed = header.map((h) => String(h).toLowerCase().replace(/[^a-z0-9]/g, ""));
+  const columns = {};
+  for (const [key, aliases] of Object.entries(CSV_COLUMN_ALIASES)) {
+    const idx = squashed.findIndex((h) => aliases.includes(h));
+    if (idx !== -1) columns[key] = idx;
+  }
+  return columns;
+}
+
+// Unlike the JSON routes, a CSV row with a missing or out-of-range rating is an error:
+// silently replying as if it were 5 stars could thank an angry buyer.
+function csvRowError(review) {
+  if (!cleanText(review.reviewText)) return "reviewText is required";
+  const r = Number(review.rating);
+  if (!Number.isInteger(r) || r < 1 || r > 5) return `rating must be a whole number from 1 to 5 (got "${review.rating}")`;
+  return "";
+}
+
+router.post(
+  "/api/generate-replies/csv",
+  requireUser,
+  express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+  async (req, res) => {
+    try {
+      resetUsageIfNewDay();
+
+      const userId = req.user.id;
+      const raw = typeof req.body === "string" ? req.body : req.body?.csv;
+      const rows = parseCsv(raw);
+
+      if (rows.length < 2) {
+        return res.status(400).json({
+          error: "BAD_REQUEST",
+          details: "CSV must have a header row and at least one review",
+        });
+      }
+      if (rows.length - 1 > CSV_MAX_ROWS) {
+        return res.status(400).json({
+          error: "BAD_REQUEST",
+          details: `A CSV can hold at most ${CSV_MAX_ROWS} reviews`,
+        });
+      }
+
+      const [header, ...body] = rows;
+      const columns = mapCsvColumns(header);
+      if (columns.reviewText === undefined) {
+        return res.status(400).json({
+          error: "BAD_REQUEST",
+          details: "CSV needs a review text column (e.g. reviewText, Review, Comment)",
+        });
+      }
+
+      // Row-level options (tone, language, platform, profileId) come from the query string.
+      const { tone, language, platform, profileId } = req.query;
+      const cell = (row, key) => (columns[key] === undefined ? "" : row[columns[key]] ?? "");
+      // Export SKUs and item ids only become catalog context if the seller registered them;
+      // an unknown one is dropped instead of failing the row with PRODUCT_NOT_FOUND.
+      const ownProductId = (row) => {
+        const productId = cell(row, "productId");
+        return getOwnProduct(userId, productId) ? productId : undefined;
+      };
+
+      const reviews = body.map((row) => ({
+        reviewText: cell(row, "reviewText"),
+        rating: cell(row, "rating"),
+        productName: cell(row, "productName"),
+        orderId: cell(row, "orderId"),
+        productId: ownProductId(row),
+        tone,
+        language,
+        platform,
+        profileId,
+      }));
+
+      const valid = [];
+      const rowErrors = reviews.map((review, i) => {
+        const error = csvRowError(review);
+        if (!error) valid.push({ ...review, id: i });
+        return error;
+      });
+
+      const generated = await generateBatchItems(valid, userId);
+      const byRow = new Map(generated.map((r) => [r.id, r]));
+
+      const out = [[...header, "reply", "engine", "language", "error"]];
+      body.forEach((row, i) => {
+        const padded = header.map((_, c) => row[c] ?? "");
+        const result = byRow.get(i);
+        if (rowErrors[i]) out.push([...padded, "", "", "", rowErrors[i]]);
+        else if (!result.ok) out.push([...padded, "", "", "", result.details || result.error]);
+        else out.push([...padded, result.reply, result.engine, result.language, ""]);
+      });
+
+      const usage = getUsageInfo(userId);
+      logEvent("info", "csv_generated", {
+        userId,
+        csvRows: body.length,
+        succeeded: generated.filter((r) => r.ok).length,
+        used: usage.used,
+        remaining: usage.remaining,
+      });
+
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", 'attachment; filename="replypilot-replies.csv"');
+      res.set("X-Usage-Remaining", String(usage.remaining));
+      // BOM so Excel opens Taglish and emoji replies as UTF-8
+      return res.status(200).send("\uFEFF" + toCsv(out));
+    } catch (err) {
+      logEvent("error", "server_error", { message: err?.message || String(err) });
+
+      return softFail(res, {
+        message: "Beta capacity reached. Please try again later.",
+        error: "SERVER_ERROR",
+      });
+    }
+  }
+);
+
+module.exports = router;
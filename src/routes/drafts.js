@@ -0,0 +1,134 @@
+// Draft review and approval routes.
+
+const express = require("express");
+
+const { logEvent } = require("../observability");
+const { ok } = require("../responses");
+const { requireUser } = require("../users");
+const { cleanText, newestFirst } = require("../text");
+const { getOwnProduct, guardrailAllowances } = require("../products");
+const { fitSellerEdit, validateReply } = require("../polishing");
+const { draftStore } = require("../marketplace");
+const {
+  BULK_MAX_DRAFTS,
+  DRAFT_ACTIONS,
+  DRAFT_TRANSITIONS,
+  MAX_APPROVAL_RULES,
+  applyDraftAction,
+  approvalRuleStore,
+  findOwnDraft,
+  normalizeApprovalRule,
+  transitionError,
+} = require("../approval");
+
+const router = express.Router();
+
+// Express 4 does not catch rejected promises, so an error in an async draft handler would
+// take the process down. This turns it into a JSON 500 instead.
+function draftRoute(handler) {
+  return async (req, res) => {
+    try {
+      return await handler(req, res);
+    } catch (err) {
+      logEvent("error", "server_error", { route: req.path, message: err?.message || String(err) });
+      if (res.headersSent) return undefined;
+      return res.status(500).json({ error: "SERVER_ERROR", details: "Could not update the draft." });
+    }
+  };
+}
+
+// GET /api/drafts?status=draft|edited|approved|posting|posted|rejected&platform=
+router.get("/api/drafts", requireUser, (req, res) => {
+  const { status, platform } = req.query;
+  const drafts = draftStore
+    .list((d) => d.userId === req.user.id)
+    .filter((d) => (!status || d.status === status) && (!platform || d.platform === platform))
+    .sort(newestFirst);
+  return ok(res, { drafts });
+});
+
+router.get("/api/drafts/:id", requireUser, (req, res) => {
+  const draft = draftStore.get(String(req.params.id));
+  if (!draft || draft.userId !== req.user.id) {
+    return res.status(404).json({ error: "DRAFT_NOT_FOUND", details: "Unknown draft." });
+  }
+  return ok(res, { draft });
+});
+
+// PATCH /api/drafts/:id { reply } saves the seller's wording. The edit is only cut to the
+// platform's length limit; platform rules and guardrails are reported as warnings rather
+// than applied or blocked: the seller is the one approving it.
+router.patch("/api/drafts/:id", requireUser, (req, res) => {
+  const draft = findOwnDraft(req.user.id, req.params.id);
+  if (!draft) return res.status(404).json({ error: "DRAFT_NOT_FOUND", details: "Unknown draft." });
+  if (!DRAFT_TRANSITIONS.edit.includes(draft.status)) return res.status(409).json(transitionError(draft, "edit"));
+
+  const text = cleanText(req.body?.reply);
+  if (!text) return res.status(400).json({ error: "BAD_REQUEST", details: "reply is required" });
+
+  const { reply, warnings } = fitSellerEdit(text, draft.platform);
+  const check = validateReply(reply, guardrailAllowances(getOwnProduct(req.user.id, draft.productId)));
+  const updated = draftStore.upsert(draft.id, {
+    reply,
+    originalReply: draft.originalReply || draft.reply,
+    status: "edited",
+    editedAt: new Date().toISOString(),
+    guardrail: { rules: check.violations, action: "edited" },
+    updatedAt: new Date().toISOString(),
+  });
+  return ok(res, { draft: updated, warnings: [...check.violations, ...warnings] });
+});
+
+// POST /api/drafts/:id/approve { post? }, /reject { reason? }, /post
+for (const action of DRAFT_ACTIONS) {
+  router.post(`/api/drafts/:id/${action}`, requireUser, draftRoute(async (req, res) => {
+    const result = await applyDraftAction(req.user.id, req.params.id, action, req.body || {});
+    if (result.error) return res.status(result.status).json(result.error);
+    return ok(res, { draft: result.draft });
+  }));
+}
+
+// POST /api/drafts/bulk { action: "approve"|"reject"|"post", ids: [...], post?, reason? }
+// Runs one draft at a time so posting stays within marketplace rate limits.
+router.post("/api/drafts/bulk", requireUser, draftRoute(async (req, res) => {
+  const { action, ids, post, reason } = req.body || {};
+  if (!DRAFT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: "BAD_REQUEST", details: "action must be approve, reject or post" });
+  }
+  if (!Array.isArray(ids) || !ids.length) {
+    return res.status(400).json({ error: "BAD_REQUEST", details: "ids must be a non-empty array" });
+  }
+  if (ids.length > BULK_MAX_DRAFTS) {
+    return res.status(400).json({ error: "BAD_REQUEST", details: `At most ${BULK_MAX_DRAFTS} drafts per request` });
+  }
+
+  const results = [];
+  for (const id of [...new Set(ids.map(String))]) {
+    const result = await applyDraftAction(req.user.id, id, action, { post, reason });
+    results.push(
+      result.error
+        ? { id, ok: false, ...result.error }
+        : { id, ok: true, status: result.draft.status, postError: result.draft.postError || null }
+    );
+  }
+  return ok(res, { action, succeeded: results.filter((r) => r.ok).length, results });
+}));
+
+router.get("/api/approval-rules", requireUser, (req, res) => {
+  return ok(res, { rules: approvalRuleStore.get(req.user.id)?.rules || [] });
+});
+
+// PUT /api/approval-rules { rules: [{ name, minRating, languages, sentiments, intents, platforms, autoPost }] }
+// e.g. 5-star English praise: { name: "praise", minRating: 5, languages: ["english"], intents: ["praise"] }
+// An empty list turns auto-approval off.
+router.put("/api/approval-rules", requireUser, (req, res) => {
+  const rules = req.body?.rules;
+  if (!Array.isArray(rules) || rules.length > MAX_APPROVAL_RULES) {
+    return res.status(400).json({ error: "BAD_REQUEST", details: `rules must be an array of at most ${MAX_APPROVAL_RULES}` });
+  }
+  const normalized = rules.map(normalizeApprovalRule);
+  const record = approvalRuleStore.upsert(req.user.id, { rules: normalized, updatedAt: new Date().toISOString() });
+  return ok(res, { rules: record.rules });
+});
+
+module.exports = router;
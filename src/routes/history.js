@@ -0,0 +1,112 @@
+// Reply history routes.
+
+const express = require("express");
+
+const { ok } = require("../responses");
+const { checkKnownOptions, checkPlanAccess } = require("../plans");
+const { getUserPlan, requireUser } = require("../users");
+const { cleanProductName, cleanText, newestFirst, normalizePlatform } = require("../text");
+const { analyzeReview } = require("../analysis");
+const { getOwnProfile } = require("../profiles");
+const { escapeRegExp, getPlatformRules, polishReply } = require("../polishing");
+const { getOwnHistoryEntry, historyStore, saveReplyHistory } = require("../history");
+const { normalizeCacheText } = require("../routing");
+
+const router = express.Router();
+
+// GET /api/history?q=&favorite=true&productName=&language=&platform=&limit=&offset=
+// q matches review text, reply, product name and label, ignoring case and punctuation.
+router.get("/api/history", requireUser, (req, res) => {
+  const { q, favorite, productName, language, platform } = req.query;
+  const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  const needle = normalizeCacheText(q);
+  const product = normalizeCacheText(productName);
+
+  const matches = historyStore
+    .list((e) => e.userId === req.user.id)
+    .filter((e) => favorite !== "true" || e.favorite)
+    .filter((e) => !language || e.language === String(language).toLowerCase())
+    .filter((e) => !platform || e.platform === normalizePlatform(platform))
+    .filter((e) => !product || normalizeCacheText(e.productName).includes(product))
+    .filter(
+      (e) => !needle || normalizeCacheText([e.reviewText, e.reply, e.productName, e.label].join(" ")).includes(needle)
+    )
+    .sort(newestFirst);
+
+  return ok(res, { entries: matches.slice(offset, offset + limit), total: matches.length, limit, offset });
+});
+
+router.get("/api/history/:id", requireUser, (req, res) => {
+  const entry = getOwnHistoryEntry(req.user.id, req.params.id);
+  if (!entry) return res.status(404).json({ error: "HISTORY_NOT_FOUND", details: "Unknown history entry." });
+  return ok(res, { entry });
+});
+
+// { favorite?: boolean, label?: string } — label is a short name for a favorite.
+router.patch("/api/history/:id", requireUser, (req, res) => {
+  const entry = getOwnHistoryEntry(req.user.id, req.params.id);
+  if (!entry) return res.status(404).json({ error: "HISTORY_NOT_FOUND", details: "Unknown history entry." });
+
+  const fields = {};
+  if (req.body?.favorite !== undefined) fields.favorite = req.body.favorite === true;
+  if (req.body?.label !== undefined) fields.label = cleanText(req.body.label).slice(0, 60);
+  if (!Object.keys(fields).length) {
+    return res.status(400).json({ error: "BAD_REQUEST", details: "Send favorite and/or label" });
+  }
+
+  return ok(res, { entry: historyStore.upsert(entry.id, fields) });
+});
+
+router.delete("/api/history/:id", requireUser, (req, res) => {
+  const entry = getOwnHistoryEntry(req.user.id, req.params.id);
+  if (!entry) return res.status(404).json({ error: "HISTORY_NOT_FOUND", details: "Unknown history entry." });
+  historyStore.remove(entry.id);
+  return ok(res, { deleted: entry.id });
+});
+
+// Reuses a favorite as a ready-made reply: { productName?, platform? }. The saved product
+// name is swapped for the new one and the platform rules are applied again. No provider
+// is called, so this does not use quota. The result is saved as a new history entry.
+router.post("/api/history/:id/reuse", requireUser, (req, res) => {
+  const entry = getOwnHistoryEntry(req.user.id, req.params.id);
+  if (!entry) return res.status(404).json({ error: "HISTORY_NOT_FOUND", details: "Unknown history entry." });
+  if (!entry.favorite) {
+    return res.status(409).json({ error: "NOT_A_FAVORITE", details: "Mark the reply as a favorite before reusing it." });
+  }
+
+  const platform = normalizePlatform(req.body?.platform || entry.platform);
+  const unknownOption = checkKnownOptions({ platform });
+  if (unknownOption) return res.status(400).json(unknownOption);
+  const planDenied = checkPlanAccess(getUserPlan(req.user.id), { platform });
+  if (planDenied) return res.status(403).json(planDenied);
+
+  const productName = cleanProductName(req.body?.productName) || entry.productName;
+  let reply = entry.reply;
+  if (entry.productName && productName !== entry.productName) {
+    reply = reply.replace(new RegExp(escapeRegExp(entry.productName), "gi"), productName);
+  }
+
+  // The old marketplace's closing line would be wrong on the new one.
+  const oldClosing = getPlatformRules(entry.platform).closing[entry.language];
+  if (platform !== entry.platform && oldClosing) reply = reply.replace(oldClosing, "");
+
+  const profile = entry.profileId ? getOwnProfile(req.user.id, entry.profileId) : null;
+  reply = polishReply(reply, entry.language, profile, platform, analyzeReview(entry.reviewText, entry.rating));
+
+  const input = {
+    text: entry.reviewText,
+    productName,
+    rating: entry.rating,
+    tone: entry.tone,
+    lang: entry.language,
+    platform,
+    profile,
+  };
+  const historyId = saveReplyHistory(req.user.id, input, { reply, engine: "favorite" }, { sourceId: entry.id });
+  historyStore.upsert(entry.id, { reuseCount: (entry.reuseCount || 0) + 1 });
+
+  return ok(res, { reply, engine: "favorite", historyId, sourceId: entry.id, language: entry.language, platform });
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+// Review ingestion and connector routes.
+
+const express = require("express");
+
+const { logEvent } = require("../observability");
+const { ok } = require("../responses");
+const { checkPlanAccess } = require("../plans");
+const { getUserPlan, requireUser } = require("../users");
+const { cleanText, newestFirst } = require("../text");
+const {
+  INGEST_POLL_MAX_PAGES,
+  REVIEW_CONNECTORS,
+  connectorStore,
+  connectorView,
+  reviewStore,
+} = require("../marketplace");
+const { ingestOptions, ingestReviews, requeueDeferredReviews } = require("../ingestion");
+
+const router = express.Router();
+
+function findConnectorOr404(req, res) {
+  const adapter = Object.hasOwn(REVIEW_CONNECTORS, req.params.platform) ? REVIEW_CONNECTORS[req.params.platform] : null;
+  if (!adapter) {
+    res.status(404).json({ error: "NOT_FOUND", details: `No connector for platform "${req.params.platform}"` });
+    return null;
+  }
+  return adapter;
+}
+
+// POST /api/ingest/:platform?tone=&language=&profileId= with the raw review payload.
+router.post("/api/ingest/:platform", requireUser, (req, res) => {
+  const adapter = findConnectorOr404(req, res);
+  if (!adapter) return undefined;
+
+  const planDenied = checkPlanAccess(getUserPlan(req.user.id), { platform: req.params.platform });
+  if (planDenied) return res.status(403).json(planDenied);
+
+  requeueDeferredReviews(req.user.id);
+  const summary = ingestReviews(req.user.id, req.params.platform, req.body, ingestOptions(req.query));
+  logEvent("info", "reviews_ingested", { userId: req.user.id, platform: req.params.platform, ...summary });
+  return ok(res, { platform: req.params.platform, ...summary });
+});
+
+router.get("/api/connectors", requireUser, (req, res) => {
+  return ok(res, { connectors: connectorStore.list((c) => c.userId === req.user.id).map(connectorView) });
+});
+
+// Saves the credentials and defaults ({ tone, language, profileId }) for polling.
+router.put("/api/connectors/:platform", requireUser, (req, res) => {
+  const adapter = findConnectorOr404(req, res);
+  if (!adapter) return undefined;
+
+  const fields = {};
+  for (const key of adapter.configFields) {
+    const value = cleanText(req.body?.[key]);
+    if (!value) return res.status(400).json({ error: "BAD_REQUEST", details: `${key} is required` });
+    fields[key] = value;
+  }
+  if (!/^https?:\/\//i.test(fields.baseUrl)) {
+    return res.status(400).json({ error: "BAD_REQUEST", details: "baseUrl must start with http:// or https://" });
+  }
+  fields.baseUrl = fields.baseUrl.replace(/\/+$/, "");
+
+  const connector = connectorStore.upsert(`${req.user.id}/${req.params.platform}`, {
+    ...fields,
+    userId: req.user.id,
+    platform: req.params.platform,
+    defaults: ingestOptions(req.body?.defaults || {}),
+    updatedAt: new Date().toISOString(),
+  });
+  return ok(res, { connector: connectorView(connector) });
+});
+
+router.delete("/api/connectors/:platform", requireUser, (req, res) => {
+  const removed = connectorStore.remove(`${req.user.id}/${req.params.platform}`);
+  if (!removed) return res.status(404).json({ error: "NOT_FOUND", details: "No connector saved for this platform." });
+  return ok(res, { deleted: req.params.platform });
+});
+
+// Fetches up to INGEST_POLL_MAX_PAGES pages and ingests them. Polling starts from the
+// beginning each time; dedupe makes that safe.
+router.post("/api/connectors/:platform/poll", requireUser, async (req, res) => {
+  const adapter = findConnectorOr404(req, res);
+  if (!adapter) return undefined;
+
+  const connector = connectorStore.get(`${req.user.id}/${req.params.platform}`);
+  if (!connector) return res.status(404).json({ error: "NOT_FOUND", details: "No connector saved for this platform." });
+
+  const planDenied = checkPlanAccess(getUserPlan(req.user.id), { platform: req.params.platform });
+  if (planDenied) return res.status(403).json(planDenied);
+
+  requeueDeferredReviews(req.user.id);
+  const summary = { pages: 0, received: 0, queued: 0, duplicates: 0, skipped: 0 };
+  let cursor = null;
+
+  try {
+    do {
+      const page = await adapter.fetchPage(connector, cursor);
+      const pageSummary = ingestReviews(req.user.id, req.params.platform, page.payload, connector.defaults);
+      Object.keys(pageSummary).forEach((k) => (summary[k] += pageSummary[k]));
+      summary.pages++;
+      cursor = page.nextCursor;
+    } while (cursor && summary.pages < INGEST_POLL_MAX_PAGES);
+  } catch (err) {
+    logEvent("warn", "connector_poll_failed", { platform: req.params.platform, message: err?.message || String(err) });
+    connectorStore.upsert(connector.id, { lastPolledAt: new Date().toISOString(), lastError: err?.message || "" });
+    return res.status(502).json({
+      error: "CONNECTOR_ERROR",
+      details: `Could not fetch reviews from ${adapter.name}: ${err?.message || err}`,
+      ...summary,
+    });
+  }
+
+  connectorStore.upsert(connector.id, { lastPolledAt: new Date().toISOString(), lastError: "" });
+  logEvent("info", "reviews_polled", { userId: req.user.id, platform: req.params.platform, ...summary });
+  return ok(res, { platform: req.params.platform, ...summary });
+});
+
+// GET /api/reviews?status=queued|deferred|drafted|failed|posted|rejected&platform=
+router.get("/api/reviews", requireUser, (req, res) => {
+  const { status, platform } = req.query;
+  const reviews = reviewStore
+    .list((r) => r.userId === req.user.id)
+    .filter((r) => (!status || r.status === status) && (!platform || r.platform === platform))
+    .sort(newestFirst);
+  return ok(res, { reviews });
+});
+
+module.exports = router;
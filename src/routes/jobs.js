@@ -0,0 +1,69 @@
+// Background job routes.
+
+const express = require("express");
+
+const { ok } = require("../responses");
+const { requireUser } = require("../users");
+const { newestFirst } = require("../text");
+const { BATCH_MAX_ITEMS, prepareReplyInput } = require("../routing");
+const { enqueueJob, findOwnJob, jobStore, jobView, retryDeadJob } = require("../jobs");
+
+const router = express.Router();
+
+// POST /api/jobs { type: "reply", reviewText, rating, ... } or { type: "batch", reviews: [...] }
+// Answers 202 right away; the request is validated up front so obvious mistakes still get a 400.
+router.post("/api/jobs", requireUser, (req, res) => {
+  const { type, ...body } = req.body || {};
+  const userId = req.user.id;
+
+  if (type === "reply") {
+    const prepared = prepareReplyInput({ ...body, variants: 1 }, userId);
+    if (prepared.error) return res.status(prepared.status).json(prepared.error);
+    const job = enqueueJob("reply", userId, body);
+    return res.status(202).json({ ok: true, job: jobView(job) });
+  }
+
+  if (type === "batch") {
+    const reviews = body.reviews;
+    if (!Array.isArray(reviews) || reviews.length === 0) {
+      return res.status(400).json({ error: "BAD_REQUEST", details: "reviews must be a non-empty array" });
+    }
+    if (reviews.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({ error: "BAD_REQUEST", details: `A batch can hold at most ${BATCH_MAX_ITEMS} reviews` });
+    }
+    // The parent never runs itself; it settles when its last item does.
+    const parent = enqueueJob("batch", userId, null, { status: "running" });
+    reviews.forEach((item, index) => enqueueJob("reply", userId, item || {}, { parentId: parent.id, index }));
+    return res.status(202).json({ ok: true, job: jobView(jobStore.get(parent.id)) });
+  }
+
+  return res.status(400).json({ error: "BAD_REQUEST", details: 'type must be "reply" or "batch"' });
+});
+
+// GET /api/jobs?status=queued|running|succeeded|dead&type=  (batch items are listed under their batch)
+router.get("/api/jobs", requireUser, (req, res) => {
+  const { status, type } = req.query;
+  const jobs = jobStore
+    .list((j) => j.userId === req.user.id && !j.parentId)
+    .filter((j) => (!status || j.status === status) && (!type || j.type === type))
+    .sort(newestFirst)
+    .map(jobView);
+  return ok(res, { jobs });
+});
+
+router.get("/api/jobs/:id", requireUser, (req, res) => {
+  const job = findOwnJob(req.user.id, req.params.id);
+  if (!job) return res.status(404).json({ error: "JOB_NOT_FOUND", details: "Unknown job." });
+  return ok(res, { job: jobView(job) });
+});
+
+router.post("/api/jobs/:id/retry", requireUser, (req, res) => {
+  const job = findOwnJob(req.user.id, req.params.id);
+  if (!job) return res.status(404).json({ error: "JOB_NOT_FOUND", details: "Unknown job." });
+  if (job.status !== "dead") {
+    return res.status(409).json({ error: "INVALID_STATUS", details: `Only dead jobs can be retried; this one is ${job.status}.` });
+  }
+  return ok(res, { job: jobView(retryDeadJob(job)) });
+});
+
+module.exports = router;
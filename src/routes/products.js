@@ -0,0 +1,65 @@
+// Product catalog routes.
+
+const express = require("express");
+
+const { ok } = require("../responses");
+const { requireUser } = require("../users");
+const {
+  MAX_PRODUCTS_PER_USER,
+  getOwnProduct,
+  normalizeProductId,
+  normalizeProductInput,
+  productRecordId,
+  productStore,
+} = require("../products");
+
+const router = express.Router();
+
+router.get("/api/products", requireUser, (req, res) => {
+  return ok(res, { products: productStore.list((p) => p.userId === req.user.id) });
+});
+
+router.get("/api/products/:productId", requireUser, (req, res) => {
+  const product = getOwnProduct(req.user.id, req.params.productId);
+  if (!product) return res.status(404).json({ error: "PRODUCT_NOT_FOUND", details: "Unknown product." });
+  return ok(res, { product });
+});
+
+// Creates or replaces the product; facts are replaced as a whole.
+router.put("/api/products/:productId", requireUser, (req, res) => {
+  const productId = normalizeProductId(req.params.productId);
+  if (!productId) {
+    return res.status(400).json({
+      error: "BAD_REQUEST",
+      details: "productId may use letters, digits, '.', '_' and '-' (up to 64 characters)",
+    });
+  }
+
+  const { fields, error } = normalizeProductInput(req.body);
+  if (error) return res.status(400).json({ error: "BAD_REQUEST", details: error });
+
+  const existing = getOwnProduct(req.user.id, productId);
+  if (!existing && productStore.list((p) => p.userId === req.user.id).length >= MAX_PRODUCTS_PER_USER) {
+    return res.status(400).json({
+      error: "BAD_REQUEST",
+      details: `An account can have at most ${MAX_PRODUCTS_PER_USER} products`,
+    });
+  }
+
+  const product = productStore.upsert(productRecordId(req.user.id, productId), {
+    ...fields,
+    userId: req.user.id,
+    productId,
+    updatedAt: new Date().toISOString(),
+  });
+  return res.status(existing ? 200 : 201).json({ ok: true, product });
+});
+
+router.delete("/api/products/:productId", requireUser, (req, res) => {
+  const product = getOwnProduct(req.user.id, req.params.productId);
+  if (!product) return res.status(404).json({ error: "PRODUCT_NOT_FOUND", details: "Unknown product." });
+  productStore.remove(product.id);
+  return ok(res, { deleted: product.productId });
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+// Brand profile routes.
+
+const crypto = require("crypto");
+const express = require("express");
+
+const { ok } = require("../responses");
+const { requireUser } = require("../users");
+const { MAX_PROFILES_PER_USER, getOwnProfile, normalizeProfileInput, profileStore } = require("../profiles");
+
+const router = express.Router();
+
+router.get("/api/profiles", requireUser, (req, res) => {
+  return ok(res, { profiles: profileStore.list((p) => p.userId === req.user.id) });
+});
+
+router.post("/api/profiles", requireUser, (req, res) => {
+  const { fields, error } = normalizeProfileInput(req.body);
+  if (error) return res.status(400).json({ error: "BAD_REQUEST", details: error });
+
+  if (profileStore.list((p) => p.userId === req.user.id).length >= MAX_PROFILES_PER_USER) {
+    return res.status(400).json({
+      error: "BAD_REQUEST",
+      details: `An account can have at most ${MAX_PROFILES_PER_USER} brand profiles`,
+    });
+  }
+
+  const id = `bp_${crypto.randomBytes(6).toString("hex")}`;
+  const profile = profileStore.upsert(id, { ...fields, userId: req.user.id, updatedAt: new Date().toISOString() });
+  return res.status(201).json({ ok: true, profile });
+});
+
+router.get("/api/profiles/:id", requireUser, (req, res) => {
+  const profile = getOwnProfile(req.user.id, req.params.id);
+  if (!profile) return res.status(404).json({ error: "PROFILE_NOT_FOUND", details: "Unknown brand profile." });
+  return ok(res, { profile });
+});
+
+router.put("/api/profiles/:id", requireUser, (req, res) => {
+  const existing = getOwnProfile(req.user.id, req.params.id);
+  if (!existing) return res.status(404).json({ error: "PROFILE_NOT_FOUND", details: "Unknown brand profile." });
+
+  const { fields, error } = normalizeProfileInput(req.body);
+  if (error) return res.status(400).json({ error: "BAD_REQUEST", details: error });
+
+  const profile = profileStore.upsert(existing.id, { ...fields, updatedAt: new Date().toISOString() });
+  return ok(res, { profile });
+});
+
+router.delete("/api/profiles/:id", requireUser, (req, res) => {
+  const existing = getOwnProfile(req.user.id, req.params.id);
+  if (!existing) return res.status(404).json({ error: "PROFILE_NOT_FOUND", details: "Unknown brand profile." });
+  profileStore.remove(existing.id);
+  return ok(res, { deleted: existing.id });
+});
+
+module.exports = router;
@@ -0,0 +1,274 @@
+// Reply generation routes: single, analyze, streaming and batch.
+
+const express = require("express");
+
+const { logEvent, metrics } = require("../observability");
+const { ok, softFail } = require("../responses");
+const { getUserPlan, requireUser } = require("../users");
+const { getUsageInfo, refundUsage, reserveUsage, resetUsageIfNewDay } = require("../usage");
+const { cleanText, normalizeRating } = require("../text");
+const { detectLanguageScored } = require("../language");
+const { analyzeReview, effectiveRating, suggestTone } = require("../analysis");
+const { saveReplyHistory } = require("../history");
+const {
+  BATCH_MAX_ITEMS,
+  cachedRouteReply,
+  generateBatchItems,
+  generateVariants,
+  prepareReplyInput,
+} = require("../routing");
+
+const router = express.Router();
+
+// ---------- MAIN API ROUTE ----------
+router.post("/api/generate-reply", requireUser, async (req, res) => {
+  let reservation = null;
+
+  try {
+    resetUsageIfNewDay();
+
+    // Identity comes from the API key, never from the request body.
+    const normalizedUserId = req.user.id;
+
+    const prepared = prepareReplyInput(req.body, normalizedUserId);
+    if (prepared.error) {
+      return res.status(prepared.status).json(prepared.error);
+    }
+    const { input, plan } = prepared;
+
+    reservation = reserveUsage(normalizedUserId, input.variants);
+    if (reservation.units === 0) {
+      metrics.quotaRejections.inc({ plan: plan.id, mode: "single" });
+      return softFail(res, {
+        message: "Beta limit reached for today. Please try again tomorrow.",
+        error: "LIMIT_REACHED",
+        usage: getUsageInfo(normalizedUserId),
+      });
+    }
+
+    // One unit per distinct reply delivered: near-duplicates (e.g. three identical
+    // template fallbacks) are dropped and their reserved units refunded.
+    const ranked =
+      input.variants > 1 ? await generateVariants(input, reservation.units) : [await cachedRouteReply(input)];
+    const { reply: finalReply, engine, fallbackUsed, guardrail, cache = { hit: false } } = ranked[0];
+
+    refundUsage(reservation, reservation.units - ranked.length);
+    const usage = getUsageInfo(normalizedUserId);
+    const historyId = saveReplyHistory(normalizedUserId, input, ranked[0], {
+      alternatives: ranked.slice(1).map((r) => r.reply),
+    });
+
+    logEvent("info", "reply_generated", {
+      userId: normalizedUserId,
+      plan: plan.id,
+      engine,
+      fallbackUsed,
+      variants: ranked.length,
+      language: input.lang,
+      platform: input.platform,
+      used: usage.used,
+      remaining: usage.remaining,
+    });
+
+    return ok(res, {
+      reply: finalReply,
+      historyId,
+      engine,
+      fallbackUsed,
+      guardrail,
+      cache,
+      ...(input.variants > 1 ? { variants: ranked } : {}),
+      language: input.lang,
+      detection: input.detection,
+      analysis: input.analysis,
+      platform: input.platform,
+      plan: plan.id,
+      usage,
+    });
+  } catch (err) {
+    logEvent("error", "server_error", { message: err?.message || String(err) });
+    if (reservation) refundUsage(reservation);
+
+    return softFail(res, {
+      message: "Beta capacity reached. Please try again later.",
+      error: "SERVER_ERROR",
+    });
+  }
+});
+
+// ---------- ANALYZE ROUTE ----------
+// { reviewText, rating? } -> the same analysis /api/generate-reply uses to pick a tone and
+// template. Offline and cheap, so it does not use quota.
+router.post("/api/analyze-review", requireUser, (req, res) => {
+  const text = cleanText(req.body?.reviewText);
+  if (!text) {
+    return res.status(400).json({
+      error: "BAD_REQUEST",
+      details: "reviewText is required",
+    });
+  }
+
+  const rating = req.body?.rating == null ? null : normalizeRating(req.body.rating);
+  const analysis = analyzeReview(text, rating);
+
+  return ok(res, {
+    analysis,
+    suggestedTone: suggestTone(analysis, getUserPlan(req.user.id)),
+    templateRating: rating == null ? null : effectiveRating(rating, analysis),
+    detection: detectLanguageScored(text),
+  });
+});
+
+// ---------- STREAMING ROUTE ----------
+// Same body as /api/generate-reply, answered as Server-Sent Events:
+//   token {text}  — a chunk from the current provider
+//   reset {reason} — that provider failed; discard streamed text, the next one is starting
+//   done {...}    — the polished reply plus engine/usage, same fields as the JSON route
+//   error {...}   — generation failed after the stream started
+// Auth, validation, plan and quota errors are sent before the stream as normal JSON.
+router.post("/api/generate-reply/stream", requireUser, async (req, res) => {
+  resetUsageIfNewDay();
+
+  const userId = req.user.id;
+  const prepared = prepareReplyInput(req.body, userId);
+  if (prepared.error) {
+    return res.status(prepared.status).json(prepared.error);
+  }
+  const { input, plan } = prepared;
+
+  const reservation = reserveUsage(userId, 1);
+  if (reservation.units === 0) {
+    metrics.quotaRejections.inc({ plan: plan.id, mode: "stream" });
+    return softFail(res, {
+      message: "Beta limit reached for today. Please try again tomorrow.",
+      error: "LIMIT_REACHED",
+      usage: getUsageInfo(userId),
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  // res, not req: req "close" fires as soon as the body has been read.
+  res.on("close", () => {
+    closed = true;
+  });
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await cachedRouteReply(input, {
+      token: (text) => send("token", { text }),
+      reset: (reason) => send("reset", { reason }),
+    });
+    const { reply, engine, fallbackUsed, guardrail, cache } = result;
+
+    const usage = getUsageInfo(userId);
+    const historyId = saveReplyHistory(userId, input, result);
+
+    logEvent("info", "reply_generated", {
+      userId,
+      plan: plan.id,
+      engine,
+      fallbackUsed,
+      stream: true,
+      language: input.lang,
+      platform: input.platform,
+      used: usage.used,
+      remaining: usage.remaining,
+    });
+
+    send("done", {
+      ok: true,
+      reply,
+      historyId,
+      engine,
+      fallbackUsed,
+      guardrail,
+      cache,
+      language: input.lang,
+      detection: input.detection,
+      analysis: input.analysis,
+      platform: input.platform,
+      plan: plan.id,
+      usage,
+    });
+  } catch (err) {
+    logEvent("error", "stream_error", { message: err?.message || String(err) });
+    refundUsage(reservation);
+    send("error", {
+      ok: false,
+      message: "Beta capacity reached. Please try again later.",
+      error: "SERVER_ERROR",
+    });
+  }
+
+  return res.end();
+});
+
+// ---------- BATCH ROUTE ----------
+// { reviews: [{ id?, reviewText, rating, productName, tone, language, platform }, ...] }
+// POST /api/jobs with type "batch" runs the same items in the background, with retries.
+router.post("/api/generate-replies/batch", requireUser, async (req, res) => {
+  try {
+    resetUsageIfNewDay();
+
+    const userId = req.user.id;
+    const reviews = req.body?.reviews;
+
+    if (!Array.isArray(reviews) || reviews.length === 0) {
+      return res.status(400).json({
+        error: "BAD_REQUEST",
+        details: "reviews must be a non-empty array",
+      });
+    }
+    if (reviews.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({
+        error: "BAD_REQUEST",
+        details: `A batch can hold at most ${BATCH_MAX_ITEMS} reviews`,
+      });
+    }
+
+    const results = await generateBatchItems(reviews, userId);
+
+    const succeeded = results.filter((r) => r.ok).length;
+    const usage = getUsageInfo(userId);
+
+    logEvent("info", "batch_generated", {
+      userId,
+      batch: results.length,
+      succeeded,
+      used: usage.used,
+      remaining: usage.remaining,
+    });
+
+    return ok(res, {
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+      },
+      plan: getUserPlan(userId).id,
+      usage,
+    });
+  } catch (err) {
+    logEvent("error", "server_error", { message: err?.message || String(err) });
+
+    return softFail(res, {
+      message: "Beta capacity reached. Please try again later.",
+      error: "SERVER_ERROR",
+    });
+  }
+});
+
+module.exports = router;
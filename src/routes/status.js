@@ -0,0 +1,65 @@
+// GET /, /__whoami, /status and /metrics. None of them needs an API key.
+
+const crypto = require("crypto");
+const express = require("express");
+
+const { name, version } = require("../../package.json");
+const { PORT, GEMINI_MODEL, GROQ_MODEL, OPENAI_MODEL, cleanKey } = require("../config");
+const { renderMetrics } = require("../observability");
+const { breakerView } = require("../breaker");
+const { hashApiKey } = require("../users");
+const { usageStore, getUsageDate } = require("../usage");
+const { PLATFORM_RULES } = require("../polishing");
+const { ROUTES, genAI, groq, openai } = require("../providers");
+const { getReplyCacheStatus } = require("../routing");
+
+const router = express.Router();
+
+// ---------- STATUS ROUTE ----------
+router.get("/", (req, res) => res.send("ReplyPilot backend running"));
+
+// Tells which build answered, e.g. when checking a deploy behind a load balancer.
+router.get("/__whoami", (req, res) => {
+  return res.json({ ok: true, file: "server.js", stamp: `${name}@${version}` });
+});
+
+router.get("/status", (req, res) => {
+  return res.json({
+    status: "ok",
+    groqConfigured: !!groq,
+    geminiConfigured: !!genAI,
+    openaiConfigured: !!openai,
+    // Field names the old boot-safe backend answered with; kept for existing health checks.
+    groqKey: !!groq,
+    geminiKey: !!genAI,
+    groqModel: GROQ_MODEL,
+    geminiModel: GEMINI_MODEL,
+    openaiModel: OPENAI_MODEL,
+    routes: ROUTES,
+    platforms: Object.keys(PLATFORM_RULES),
+    port: String(PORT),
+    usageDate: getUsageDate(),
+    usageStore: usageStore.kind,
+    cache: getReplyCacheStatus(),
+    breakers: breakerView(),
+  });
+});
+
+// Prometheus scrape endpoint. Open by default; set METRICS_TOKEN to require
+// `Authorization: Bearer $METRICS_TOKEN`.
+const METRICS_TOKEN = cleanKey(process.env.METRICS_TOKEN);
+
+router.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN) {
+    const given = Buffer.from(hashApiKey(cleanKey(req.get("authorization"))));
+    const expected = Buffer.from(hashApiKey(METRICS_TOKEN));
+    if (!crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: "UNAUTHORIZED", details: "Invalid metrics token." });
+    }
+  }
+
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  return res.send(renderMetrics());
+});
+
+module.exports = router;
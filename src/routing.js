@@ -0,0 +1,424 @@
+// Reply pipeline: input preparation, provider routing, variants, cache and batches.
+
+const { createGauge, logEvent, metrics, recordReply } = require("./observability");
+const { classifyProviderError, safeCall } = require("./breaker");
+const { checkKnownOptions, checkPlanAccess } = require("./plans");
+const { getUserPlan } = require("./users");
+const { refundUsage, reserveUsage } = require("./usage");
+const {
+  cleanProductName,
+  cleanText,
+  normalizeLanguageName,
+  normalizePlatform,
+  normalizeRating,
+  normalizeTone,
+} = require("./text");
+const { detectLanguageScored, normalizeLanguage } = require("./language");
+const { analyzeReview, suggestTone } = require("./analysis");
+const { getOwnProfile } = require("./profiles");
+const { getOwnProduct, guardrailAllowances } = require("./products");
+const {
+  MAX_VARIANTS,
+  VARIANT_TEMPERATURES,
+  dedupeReplies,
+  normalizeVariants,
+  polishReply,
+  scoreReply,
+  validateReply,
+} = require("./polishing");
+const { templateReply } = require("./prompts");
+const { getRoute, providers } = require("./providers");
+
+// ---------- REPLY PIPELINE ----------
+// Shared by the single and batch routes: validate + plan-check one review, then route it.
+
+// Returns { input, plan } when the review can be generated, otherwise { status, error }.
+function prepareReplyInput(body, userId) {
+  const { reviewText, productName, rating, tone, language, variants, profileId, productId } = body || {};
+  const rawPlatform = body?.platform || body?.marketplace || "shopee";
+
+  const text = cleanText(reviewText);
+  if (!text) {
+    return {
+      status: 400,
+      error: {
+        error: "BAD_REQUEST",
+        details: "reviewText is required",
+      },
+    };
+  }
+
+  const safeRating = normalizeRating(rating);
+  const analysis = analyzeReview(text, safeRating);
+  const detection = detectLanguageScored(text);
+  const lang = normalizeLanguage(language, text, detection);
+  const safeProductName = cleanProductName(productName);
+  const platform = normalizePlatform(rawPlatform);
+  const requestedLanguage = language ? normalizeLanguageName(language) : "";
+  const rawTone = tone ? String(tone).toLowerCase().trim() : "";
+  const unknownOption = checkKnownOptions({ language: requestedLanguage, tone: rawTone, platform });
+  if (unknownOption) return { status: 400, error: unknownOption };
+  const requestedVariants = normalizeVariants(variants);
+  if (requestedVariants > MAX_VARIANTS) {
+    return {
+      status: 400,
+      error: {
+        error: "BAD_REQUEST",
+        details: `variants must be between 1 and ${MAX_VARIANTS}`,
+      },
+    };
+  }
+
+  let profile = null;
+  if (profileId) {
+    profile = getOwnProfile(userId, profileId);
+    if (!profile) {
+      return {
+        status: 404,
+        error: {
+          error: "PROFILE_NOT_FOUND",
+          details: "No brand profile with that profileId for this account.",
+        },
+      };
+    }
+  }
+
+  let product = null;
+  if (productId) {
+    product = getOwnProduct(userId, productId);
+    if (!product) {
+      return {
+        status: 404,
+        error: {
+          error: "PRODUCT_NOT_FOUND",
+          details: "No product with that productId for this account.",
+        },
+      };
+    }
+  }
+
+  // Check what the client asked for and what we resolved it to. A tone the client did not
+  // ask for comes from the review analysis and is always one the plan includes.
+  const plan = getUserPlan(userId);
+  const requestedTone = tone ? normalizeTone(tone) : "";
+  const safeTone = requestedTone || suggestTone(analysis, plan);
+  const planDenied =
+    checkPlanAccess(plan, { language: requestedLanguage, tone: requestedTone, platform, variants: requestedVariants }) ||
+    checkPlanAccess(plan, { language: lang });
+  if (planDenied) {
+    return { status: 403, error: planDenied };
+  }
+
+  return {
+    plan,
+    input: {
+      text,
+      productName: safeProductName || cleanProductName(product?.name),
+      rating: safeRating,
+      tone: safeTone,
+      lang,
+      platform,
+      variants: requestedVariants,
+      detection,
+      analysis,
+      profile,
+      product,
+    },
+  };
+}
+
+// Generates input.variants candidates at different temperatures, drops near-duplicates
+// and returns them best-first. Never returns more than maxCount.
+async function generateVariants(input, maxCount) {
+  const count = Math.min(input.variants, maxCount);
+  const candidates = await Promise.all(
+    VARIANT_TEMPERATURES.slice(0, count).map((temperature) => routeReply({ ...input, temperature }))
+  );
+
+  return dedupeReplies(candidates)
+    .map((c) => ({ ...c, score: scoreReply(c.reply, input.lang, guardrailAllowances(input.product)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Walks the language's provider chain (see getRoute in providers.js) until one returns text. Never throws
+// on provider errors: the chain ends with the template, and so does this function. The
+// result's providerErrors ([{ provider, kind }]) lets the job queue tell an outage it
+// should retry from a reply that is a template for good reasons. Providers without an API
+// key are left out of the chain rather than tried, so they neither trip their breaker nor
+// turn the next provider's reply into a "fallback".
+// Pass stream = { token(text), reset(reason) } to get tokens as they arrive; reset() fires
+// when a provider fails so the caller can drop any partial text it already showed.
+//
+// Every AI reply goes through validateReply. A reply that breaks a guardrail is regenerated
+// once by the same provider with a stricter prompt; if that fails too, the template is used.
+async function routeReply(
+  { text, productName, rating, tone, lang, platform, temperature, profile, analysis, product },
+  stream = null
+) {
+  const params = {
+    reviewText: text,
+    productName,
+    rating,
+    tone,
+    language: lang,
+    platform,
+    temperature,
+    profile,
+    analysis,
+    product,
+  };
+  const streamOpts = stream ? { onToken: stream.token } : {};
+  const chain = getRoute(lang).filter((name) => providers[name].configured());
+  const guardrail = { rules: [], action: "none" };
+  const allowed = guardrailAllowances(product);
+  const providerErrors = [];
+  const noteError = (provider, err) =>
+    providerErrors.push({ provider, kind: err?._breaker ? "breaker" : classifyProviderError(err) });
+
+  const templateResult = (reason) => {
+    const result = {
+      reply: polishReply(templateReply({ rating, language: lang, productName, analysis }), lang, profile, platform, analysis),
+      engine: "template",
+      fallbackUsed: true,
+      guardrail,
+      providerErrors,
+    };
+    recordReply(result, { lang, platform }, reason);
+    return result;
+  };
+
+  for (const [i, name] of chain.entries()) {
+    const next = chain[i + 1] || "template";
+    let reply = "";
+
+    try {
+      reply = await safeCall(name, (signal) => providers[name].generate(params, { ...streamOpts, signal }));
+    } catch (err) {
+      noteError(name, err);
+      logEvent("warn", "provider_failed", { provider: name, next, message: err?.message || String(err) });
+      stream?.reset(`${name}-failed`);
+      continue;
+    }
+
+    if (!reply) {
+      logEvent("warn", "provider_empty", { provider: name, next });
+      stream?.reset(`${name}-empty`);
+      continue;
+    }
+
+    const engine = name === "template" ? "template" : `${name}-${i === 0 ? "primary" : "fallback"}`;
+    let polished = polishReply(reply, lang, profile, platform, analysis);
+    const check = name === "template" ? { ok: true } : validateReply(polished, allowed);
+
+    if (!check.ok) {
+      guardrail.rules = check.violations;
+      logEvent("warn", "guardrail_regenerate", { provider: name, rules: check.violations });
+      stream?.reset("guardrail");
+
+      try {
+        const retry = await safeCall(name, (signal) =>
+          providers[name].generate({ ...params, strictRules: check.violations }, { ...streamOpts, signal })
+        );
+        polished = polishReply(retry, lang, profile, platform, analysis);
+      } catch (err) {
+        noteError(name, err);
+        polished = "";
+      }
+
+      const recheck = validateReply(polished, allowed);
+      if (!polished || !recheck.ok) {
+        guardrail.rules = [...new Set([...check.violations, ...recheck.violations])];
+        guardrail.action = "template";
+        stream?.reset("guardrail");
+        return templateResult("guardrail");
+      }
+      guardrail.action = "regenerated";
+    }
+
+    const result = { reply: polished, engine, fallbackUsed: i > 0, guardrail, providerErrors };
+    recordReply(result, { lang, platform }, name === "template" ? "chain" : null);
+    return result;
+  }
+
+  // Only reachable if the template breaker was opened by hand.
+  return templateResult("breaker");
+}
+
+// ---------- REPLY CACHE ----------
+// Short, common reviews ("Fast delivery, thank you!") are answered from memory instead of
+// a provider call. Keyed on normalized text + rating/tone/language/platform/product.
+// With rotation > 1 each key is generated that many times (keeping the distinct replies)
+// before it starts serving them round-robin, so repeat customers don't all get the
+// identical sentence.
+// Template fallbacks and guardrail-rejected replies are never cached.
+const REPLY_CACHE_TTL_MS = Number(process.env.REPLY_CACHE_TTL_MS ?? 24 * 60 * 60 * 1000);
+const REPLY_CACHE_MAX_ENTRIES = Number(process.env.REPLY_CACHE_MAX_ENTRIES) || 5000;
+const REPLY_CACHE_ROTATION = Math.max(1, Number(process.env.REPLY_CACHE_ROTATION) || 3);
+const REPLY_CACHE_MAX_TEXT = 200;
+
+// Map keeps insertion order, so re-inserting on hit makes the first key the least recent.
+const replyCache = new Map();
+const replyCacheStats = { hits: 0, misses: 0, evictions: 0 };
+
+function normalizeCacheText(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/(.)\1{2,}/gu, "$1$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// A profile or product edit changes updatedAt, which retires replies written from the old data.
+function replyCacheKey({ text, rating, tone, lang, platform, productName, profile, product }) {
+  const voice = profile ? `${profile.id}@${profile.updatedAt}` : "";
+  const facts = product ? `${product.id}@${product.updatedAt}` : "";
+  const parts = [normalizeCacheText(text), rating, tone, lang, platform, normalizeCacheText(productName)];
+  return [...parts, voice, facts].join("|");
+}
+
+function replyCacheEnabledFor(input) {
+  return REPLY_CACHE_TTL_MS > 0 && input.temperature === undefined && input.text.length <= REPLY_CACHE_MAX_TEXT;
+}
+
+function getReplyCacheEntry(key) {
+  const entry = replyCache.get(key);
+  if (!entry) return null;
+  if (Date.now() > entry.expiresAt) {
+    replyCache.delete(key);
+    return null;
+  }
+  replyCache.delete(key);
+  replyCache.set(key, entry);
+  return entry;
+}
+
+function storeReplyCacheEntry(key, result) {
+  const entry = replyCache.get(key) || { replies: [], fills: 0, next: 0, expiresAt: Date.now() + REPLY_CACHE_TTL_MS };
+  entry.fills++;
+  if (!entry.replies.some((r) => r.reply === result.reply)) entry.replies.push(result);
+
+  replyCache.delete(key);
+  replyCache.set(key, entry);
+
+  while (replyCache.size > REPLY_CACHE_MAX_ENTRIES) {
+    replyCache.delete(replyCache.keys().next().value);
+    replyCacheStats.evictions++;
+  }
+}
+
+function getReplyCacheStatus() {
+  const lookups = replyCacheStats.hits + replyCacheStats.misses;
+  return {
+    enabled: REPLY_CACHE_TTL_MS > 0,
+    size: replyCache.size,
+    maxEntries: REPLY_CACHE_MAX_ENTRIES,
+    ttlMs: REPLY_CACHE_TTL_MS,
+    rotation: REPLY_CACHE_ROTATION,
+    ...replyCacheStats,
+    hitRate: lookups ? Math.round((replyCacheStats.hits / lookups) * 1000) / 1000 : 0,
+  };
+}
+
+createGauge("replypilot_reply_cache_lookups", "Reply cache lookups since start.", () => [
+  { labels: [["result", "hit"]], value: replyCacheStats.hits },
+  { labels: [["result", "miss"]], value: replyCacheStats.misses },
+]);
+
+// routeReply with the cache in front. The result carries cache: { hit }.
+async function cachedRouteReply(input, stream = null) {
+  if (!replyCacheEnabledFor(input)) {
+    return { ...(await routeReply(input, stream)), cache: { hit: false } };
+  }
+
+  const key = replyCacheKey(input);
+  const entry = getReplyCacheEntry(key);
+
+  if (entry && entry.fills >= REPLY_CACHE_ROTATION) {
+    replyCacheStats.hits++;
+    const cached = entry.replies[entry.next % entry.replies.length];
+    entry.next++;
+    recordReply(cached, input);
+    return { ...cached, cache: { hit: true } };
+  }
+
+  replyCacheStats.misses++;
+  const result = await routeReply(input, stream);
+  if (result.engine !== "template" && result.guardrail.action !== "template") {
+    storeReplyCacheEntry(key, result);
+  }
+  return { ...result, cache: { hit: false } };
+}
+
+// ---------- BATCH ----------
+// Used by POST /api/generate-replies/batch and the CSV route. Items are independent: each
+// gets its own result, and only successful items use quota.
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS) || 50;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Each item reserves its quota unit before generating (so parallel items and parallel
+// batches cannot overspend); the unit is refunded if the item fails.
+async function generateBatchItems(items, userId) {
+  return mapWithConcurrency(items, BATCH_CONCURRENCY, async (item, index) => {
+    const base = { index, ...(item?.id !== undefined ? { id: item.id } : {}) };
+
+    const prepared = prepareReplyInput(item, userId);
+    if (prepared.error) {
+      return { ...base, ok: false, ...prepared.error };
+    }
+
+    const reservation = reserveUsage(userId, 1);
+    if (reservation.units === 0) {
+      metrics.quotaRejections.inc({ plan: prepared.plan.id, mode: "batch" });
+      return { ...base, ok: false, error: "LIMIT_REACHED", details: "Daily limit reached before this review." };
+    }
+
+    try {
+      const { input } = prepared;
+      const { reply, engine, fallbackUsed, guardrail, cache } = await cachedRouteReply(input);
+      return {
+        ...base,
+        ok: true,
+        reply,
+        engine,
+        fallbackUsed,
+        guardrail,
+        cache,
+        language: input.lang,
+        detection: input.detection,
+        analysis: input.analysis,
+        platform: input.platform,
+      };
+    } catch (err) {
+      refundUsage(reservation);
+      logEvent("error", "batch_item_error", { index, message: err?.message || String(err) });
+      return { ...base, ok: false, error: "SERVER_ERROR", details: "Could not generate this reply." };
+    }
+  });
+}
+
+module.exports = {
+  prepareReplyInput,
+  generateVariants,
+  normalizeCacheText,
+  getReplyCacheStatus,
+  cachedRouteReply,
+  BATCH_MAX_ITEMS,
+  generateBatchItems,
+};
@@ -0,0 +1,111 @@
+// JSON file helpers and the generic memory/file record stores.
+
+const fs = require("fs");
+const path = require("path");
+
+const { logEvent } = require("./observability");
+
+const USAGE_STORE = String(process.env.USAGE_STORE || "file").toLowerCase().trim();
+// Users (and their API key hashes), profiles, products, history, reviews, drafts,
+// connectors and approval rules. Separate from USAGE_STORE so testing quotas in memory
+// does not also throw away every account on restart.
+const RECORD_STORE = String(process.env.RECORD_STORE || "file").toLowerCase().trim();
+
+function readJsonFile(filePath, fallback) {
+  try {
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    logEvent("error", "json_file_unreadable", { file: filePath, message: err?.message || String(err) });
+  }
+  return fallback;
+}
+
+// Write to a temp file and rename so a crash mid-write never leaves half a JSON file.
+function writeJsonFile(filePath, data) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, filePath);
+  } catch (err) {
+    logEvent("error", "json_file_write_failed", { file: filePath, message: err?.message || String(err) });
+  }
+}
+
+// ---------- RECORD STORES ----------
+// Generic id -> record maps on the same memory/file backends as usage, picked by
+// RECORD_STORE. Users, brand profiles and later collections each get their own file under data/.
+function createMemoryRecordStore(initialRecords = {}) {
+  // No prototype, so ids like "constructor" or "__proto__" are ordinary (missing) keys.
+  const records = Object.assign(Object.create(null), initialRecords);
+
+  return {
+    kind: "memory",
+    get(id) {
+      return records[id] || null;
+    },
+    list(filter = null) {
+      const all = Object.values(records);
+      return filter ? all.filter(filter) : all;
+    },
+    upsert(id, fields) {
+      records[id] = { ...(records[id] || { id, createdAt: new Date().toISOString() }), ...fields };
+      return records[id];
+    },
+    remove(id) {
+      const existed = !!records[id];
+      delete records[id];
+      return existed;
+    },
+    // Returns how many of the ids existed.
+    removeMany(ids) {
+      const existing = ids.filter((id) => records[id]);
+      existing.forEach((id) => delete records[id]);
+      return existing.length;
+    },
+    snapshot() {
+      return records;
+    },
+  };
+}
+
+function createFileRecordStore(filePath, rootKey) {
+  const parsed = readJsonFile(filePath, {});
+  const initial = parsed?.[rootKey] && typeof parsed[rootKey] === "object" ? parsed[rootKey] : {};
+  const mem = createMemoryRecordStore(initial);
+  const save = () => writeJsonFile(filePath, { [rootKey]: mem.snapshot() });
+
+  return {
+    ...mem,
+    kind: "file",
+    upsert(id, fields) {
+      const record = mem.upsert(id, fields);
+      save();
+      return record;
+    },
+    remove(id) {
+      const existed = mem.remove(id);
+      if (existed) save();
+      return existed;
+    },
+    // One write for the whole batch instead of one per id.
+    removeMany(ids) {
+      const removed = mem.removeMany(ids);
+      if (removed) save();
+      return removed;
+    },
+  };
+}
+
+function createRecordStore(kind, filePath, rootKey) {
+  if (kind === "memory") return createMemoryRecordStore();
+  return createFileRecordStore(filePath, rootKey);
+}
+
+module.exports = {
+  USAGE_STORE,
+  RECORD_STORE,
+  readJsonFile,
+  writeJsonFile,
+  createRecordStore,
+};
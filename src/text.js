@@ -0,0 +1,66 @@
+// Input normalization helpers.
+
+// ---------- HELPERS ----------
+function cleanText(v) {
+  return (v ?? "").toString().trim();
+}
+
+function cleanProductName(v) {
+  const s = cleanText(v);
+  if (!s) return "";
+  return s.replace(/\s+/g, " ").slice(0, 60);
+}
+
+function normalizeTone(tone) {
+  const t = String(tone || "").toLowerCase().trim();
+  if (["friendly", "professional", "apology", "cheerful"].includes(t)) return t;
+  return "friendly";
+}
+
+function normalizePlatform(platform) {
+  const p = String(platform || "shopee").toLowerCase().trim() || "shopee";
+  return Object.hasOwn(PLATFORM_ALIASES, p) ? PLATFORM_ALIASES[p] : p;
+}
+
+function normalizeRating(rating) {
+  const r = Number(rating);
+  if (Number.isFinite(r) && r >= 1 && r <= 5) return r;
+  return 5;
+}
+
+// Reply languages the backend can write. "auto" and unknown values go through detectLanguage.
+const SUPPORTED_LANGUAGES = ["english", "taglish", "tagalog", "vietnamese", "thai", "indonesian", "chinese"];
+const LANGUAGE_ALIASES = {
+  filipino: "tagalog",
+  bahasa: "indonesian",
+  mandarin: "chinese",
+};
+
+const PLATFORM_ALIASES = {
+  "tiktok shop": "tiktok",
+  tiktokshop: "tiktok",
+  fb: "facebook",
+  "fb marketplace": "facebook",
+  "facebook marketplace": "facebook",
+};
+
+// Lowercases a language name and resolves aliases ("filipino" -> "tagalog"). Own keys only,
+// so "constructor" stays "constructor" instead of becoming Object's constructor.
+function normalizeLanguageName(language) {
+  const l = String(language || "").toLowerCase().trim();
+  return Object.hasOwn(LANGUAGE_ALIASES, l) ? LANGUAGE_ALIASES[l] : l;
+}
+
+const newestFirst = (a, b) => String(b.createdAt).localeCompare(String(a.createdAt));
+
+module.exports = {
+  cleanText,
+  cleanProductName,
+  normalizeTone,
+  normalizePlatform,
+  normalizeRating,
+  SUPPORTED_LANGUAGES,
+  LANGUAGE_ALIASES,
+  normalizeLanguageName,
+  newestFirst,
+};
@@ -0,0 +1,146 @@
+// Daily quota: usage counts, reservations and refunds.
+
+const path = require("path");
+
+const { ROOT_DIR } = require("./config");
+const { logEvent } = require("./observability");
+const { USAGE_STORE, readJsonFile, writeJsonFile } = require("./stores");
+const { getUserPlan, userStore } = require("./users");
+
+// ---------- USAGE STORE ----------
+// Every backend exposes the same shape: get / increment / history / prune, keyed by
+// the Asia/Manila day from getTodayKey(). "memory" is the test backend; "file" keeps
+// counts in a JSON file so a redeploy or crash does not hand out fresh quota.
+const USAGE_STORE_PATH = process.env.USAGE_STORE_PATH || path.join(ROOT_DIR, "data", "usage.json");
+const USAGE_HISTORY_DAYS = Number(process.env.USAGE_HISTORY_DAYS) || 90;
+
+function createMemoryUsageStore(initialDays = {}) {
+  let days = initialDays;
+
+  return {
+    kind: "memory",
+    get(date, userId) {
+      return days[date]?.[userId] || 0;
+    },
+    // n may be negative (a refund); counts never go below zero.
+    increment(date, userId, n = 1) {
+      days[date] = days[date] || {};
+      days[date][userId] = Math.max(0, (days[date][userId] || 0) + n);
+      return days[date][userId];
+    },
+    reset(date, userId) {
+      if (days[date]) delete days[date][userId];
+    },
+    history(userId) {
+      return Object.keys(days)
+        .sort()
+        .filter((date) => days[date][userId])
+        .map((date) => ({ date, used: days[date][userId] }));
+    },
+    prune(keepDays) {
+      const dates = Object.keys(days).sort();
+      const drop = dates.slice(0, Math.max(0, dates.length - keepDays));
+      drop.forEach((date) => delete days[date]);
+      return drop.length;
+    },
+    snapshot() {
+      return days;
+    },
+  };
+}
+
+function createFileUsageStore(filePath) {
+  const parsed = readJsonFile(filePath, {});
+  const initial = parsed?.days && typeof parsed.days === "object" ? parsed.days : {};
+  const mem = createMemoryUsageStore(initial);
+  const save = () => writeJsonFile(filePath, { days: mem.snapshot() });
+
+  return {
+    ...mem,
+    kind: "file",
+    increment(date, userId, n = 1) {
+      const total = mem.increment(date, userId, n);
+      save();
+      return total;
+    },
+    reset(date, userId) {
+      mem.reset(date, userId);
+      save();
+    },
+    prune(keepDays) {
+      const dropped = mem.prune(keepDays);
+      if (dropped) save();
+      return dropped;
+    },
+  };
+}
+
+function createUsageStore(kind) {
+  if (kind === "memory") return createMemoryUsageStore();
+  return createFileUsageStore(USAGE_STORE_PATH);
+}
+
+const usageStore = createUsageStore(USAGE_STORE);
+let usageTrackerDate = getTodayKey();
+
+function getTodayKey() {
+  const now = new Date();
+  const phTime = new Date(now.toLocaleString("en-US", { timeZone: "Asia/Manila" }));
+
+  return `${phTime.getFullYear()}-${String(phTime.getMonth() + 1).padStart(2, "0")}-${String(
+    phTime.getDate()
+  ).padStart(2, "0")}`;
+}
+
+// The day the counters currently charge against; moves forward in resetUsageIfNewDay.
+function getUsageDate() {
+  return usageTrackerDate;
+}
+
+function resetUsageIfNewDay() {
+  const today = getTodayKey();
+  if (usageTrackerDate !== today) {
+    usageTrackerDate = today;
+    usageStore.prune(USAGE_HISTORY_DAYS);
+    logEvent("info", "usage_day_reset", { date: today });
+  }
+}
+
+function getUsageInfo(userId) {
+  const dailyLimit = userStore.get(userId)?.dailyLimit ?? getUserPlan(userId).dailyLimit;
+  const used = usageStore.get(usageTrackerDate, userId);
+  const remaining = Math.max(0, dailyLimit - used);
+  return {
+    used,
+    limit: dailyLimit,
+    remaining,
+    date: usageTrackerDate,
+  };
+}
+
+// Charges up to `units` of today's quota before any provider is called. Check and charge
+// happen in one synchronous step, so parallel requests cannot all pass the check first.
+// Returns { userId, date, units } with units = what was actually granted (0 when spent).
+function reserveUsage(userId, units = 1) {
+  const granted = Math.min(units, getUsageInfo(userId).remaining);
+  if (granted > 0) usageStore.increment(usageTrackerDate, userId, granted);
+  return { userId, date: usageTrackerDate, units: granted };
+}
+
+// Gives back reserved units that produced no reply. Uses the reservation's date, so a
+// refund after midnight does not credit the new day.
+function refundUsage(reservation, units = reservation.units) {
+  const n = Math.min(units, reservation.units);
+  if (n <= 0) return;
+  reservation.units -= n;
+  usageStore.increment(reservation.date, reservation.userId, -n);
+}
+
+module.exports = {
+  usageStore,
+  getUsageDate,
+  resetUsageIfNewDay,
+  getUsageInfo,
+  reserveUsage,
+  refundUsage,
+};
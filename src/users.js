@@ -0,0 +1,94 @@
+// User records, API keys and the requireUser middleware.
+
+const path = require("path");
+const crypto = require("crypto");
+
+const { ROOT_DIR, cleanKey } = require("./config");
+const { RECORD_STORE, createRecordStore, readJsonFile } = require("./stores");
+const { PLANS, isPlanId } = require("./plans");
+const { sendRateLimited, userBuckets } = require("./rate-limit");
+
+// The plan is a field on the user record; unknown or missing plans fall back to free.
+function getUserPlan(userId) {
+  const plan = userStore.get(userId)?.plan;
+  return isPlanId(plan) ? PLANS[plan] : PLANS.free;
+}
+
+function normalizeUserId(userId) {
+  return String(userId || "").trim().toLowerCase();
+}
+
+// ---------- USERS & API KEYS ----------
+// Users are records ({ id, plan, status, dailyLimit?, keyHash, keyPrefix }) in a record
+// store (see RECORD STORES in stores.js). Only a SHA-256 of each API key is stored; the key itself is
+// shown once, when it is issued.
+const USERS_STORE_PATH = process.env.USERS_STORE_PATH || path.join(ROOT_DIR, "data", "users.json");
+
+function hashApiKey(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey)).digest("hex");
+}
+
+const userStore = createRecordStore(RECORD_STORE, USERS_STORE_PATH, "users");
+
+function findUserByKeyHash(keyHash) {
+  return userStore.list((u) => u.keyHash && u.keyHash === keyHash)[0] || null;
+}
+
+
+// Adds seed users that are not in the store yet. Existing records (and their keys) are kept.
+function seedUsers(seedPath) {
+  const seed = readJsonFile(seedPath, { users: [] });
+  let added = 0;
+
+  for (const entry of seed.users || []) {
+    const id = normalizeUserId(entry?.id);
+    if (!id || userStore.get(id)) continue;
+    userStore.upsert(id, { plan: isPlanId(entry.plan) ? entry.plan : "free", status: "active" });
+    added++;
+  }
+
+  return added;
+}
+
+function issueApiKey(userId) {
+  const user = userStore.get(userId);
+  if (!user) return null;
+
+  const apiKey = `rp_${crypto.randomBytes(24).toString("hex")}`;
+  userStore.upsert(userId, { keyHash: hashApiKey(apiKey), keyPrefix: apiKey.slice(0, 7) });
+  return apiKey;
+}
+
+function authenticate(req) {
+  const apiKey = cleanKey(req.get("authorization"));
+  if (!apiKey) return { error: "UNAUTHORIZED", details: "Authorization header with an API key is required." };
+
+  const user = findUserByKeyHash(hashApiKey(apiKey));
+  if (!user) return { error: "UNAUTHORIZED", details: "Invalid API key." };
+  if (user.status !== "active") {
+    return { status: 403, error: "BETA_ACCESS_DENIED", details: "This account is not authorized for beta access." };
+  }
+
+  return { user };
+}
+
+function requireUser(req, res, next) {
+  const { user, status = 401, ...error } = authenticate(req);
+  if (!user) return res.status(status).json(error);
+
+  const limited = userBuckets.take(user.id);
+  if (!limited.ok) return sendRateLimited(res, "user", limited.retryAfterMs);
+
+  req.user = user;
+  return next();
+}
+
+module.exports = {
+  getUserPlan,
+  userStore,
+  normalizeUserId,
+  hashApiKey,
+  seedUsers,
+  issueApiKey,
+  requireUser,
+};
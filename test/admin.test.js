@@ -0,0 +1,49 @@
+// The admin API looks plans, breakers and users up by name; inherited object keys such as
+// "toString" or "constructor" must not count as any of them.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { ADMIN } = require("./helpers");
+const { createApp } = require("../src/app");
+
+const app = createApp();
+
+test("only real plans are accepted", async () => {
+  const bad = await request(app).post("/admin/users").set(ADMIN).send({ id: "admin_plans", plan: "toString" });
+  assert.equal(bad.status, 400);
+
+  const created = await request(app).post("/admin/users").set(ADMIN).send({ id: "admin_plans", plan: "free" });
+  assert.equal(created.status, 201);
+  const auth = { Authorization: `Bearer ${created.body.apiKey}` };
+
+  for (const plan of ["toString", "constructor", "__proto__"]) {
+    const patch = await request(app).patch("/admin/users/admin_plans").set(ADMIN).send({ plan });
+    assert.equal(patch.status, 400, plan);
+  }
+
+  const reply = await request(app).post("/api/generate-reply").set(auth).send({ reviewText: "Nice item" });
+  assert.equal(reply.body.ok, true);
+  assert.equal(reply.body.usage.limit, reply.body.usage.used + reply.body.usage.remaining);
+});
+
+test("reserved user ids are refused", async () => {
+  for (const id of ["constructor", "__proto__"]) {
+    const res = await request(app).post("/admin/users").set(ADMIN).send({ id, plan: "free" });
+    assert.equal(res.status, 400, id);
+  }
+  const missing = await request(app).post("/admin/users/constructor/reset-usage").set(ADMIN);
+  assert.equal(missing.status, 404);
+});
+
+test("only registered breakers can be set", async () => {
+  const bad = await request(app).post("/admin/breakers/constructor").set(ADMIN).send({ state: "closed" });
+  assert.equal(bad.status, 404);
+
+  const open = await request(app).post("/admin/breakers/groq").set(ADMIN).send({ state: "open", minutes: 1 });
+  assert.equal(open.status, 200);
+  assert.equal(open.body.breaker.state, "open");
+  const closed = await request(app).post("/admin/breakers/groq").set(ADMIN).send({ state: "closed" });
+  assert.equal(closed.body.breaker.state, "closed");
+});
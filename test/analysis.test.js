@@ -0,0 +1,55 @@
+// analyzeReview decides the tone and whether a review gets the apology template, so praise
+// that happens to mention a rider or a missing part must not read as a complaint.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyzeReview, suggestTone, effectiveRating } = require("../src/analysis");
+
+test("5-star praise that names a problem word stays praise", () => {
+  for (const text of [
+    "Rider was very polite, fast delivery! Thank you",
+    "Nothing missing, complete and legit",
+    "Not broken at all, well packed!",
+    "All sizes available, great shop",
+  ]) {
+    const analysis = analyzeReview(text, 5);
+    assert.equal(analysis.intent, "praise", text);
+    assert.equal(analysis.sentiment, "positive", text);
+    assert.equal(suggestTone(analysis), "friendly", text);
+    assert.equal(effectiveRating(5, analysis), 5, text);
+  }
+});
+
+test("real problems are still detected", () => {
+  const cases = [
+    ["The rider never came and the parcel is lost", "delivery_issue"],
+    ["Hindi pa dumating yung parcel ko", "delivery_issue"],
+    ["Item arrived broken", "complaint"],
+    ["2 pieces are missing", "complaint"],
+    ["Sira yung zipper", "complaint"],
+    ["I want a refund, item is defective", "refund_request"],
+  ];
+  for (const [text, intent] of cases) {
+    const analysis = analyzeReview(text, 5);
+    assert.equal(analysis.intent, intent, text);
+    assert.equal(analysis.sentiment, "negative", text);
+    assert.equal(suggestTone(analysis), "apology", text);
+    assert.equal(effectiveRating(5, analysis), 2, text);
+  }
+});
+
+test("stock questions need question wording", () => {
+  assert.equal(analyzeReview("Is this still available?").intent, "stock_question");
+  assert.equal(analyzeReview("Available pa po ba yung black?").intent, "stock_question");
+  assert.equal(analyzeReview("In stock?").intent, "stock_question");
+});
+
+test("a problem only forces a negative score when the text is not clearly positive", () => {
+  const mixed = analyzeReview("Wrong size sent but fast delivery", 5);
+  assert.equal(mixed.sentiment, "negative");
+
+  const mostlyPositive = analyzeReview("Fast delivery, great quality, only one button was missing", 4);
+  assert.equal(mostlyPositive.sentiment, "positive");
+  assert.ok(mostlyPositive.intents.includes("complaint"));
+});
@@ -0,0 +1,114 @@
+// Smoke tests for the app returned by createApp(): both route surfaces that used to live in
+// server.js and backend/server.js. Everything runs on the memory stores with no provider
+// keys, so replies come from the template provider and nothing is written to data/.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { createUser } = require("./helpers");
+const { createApp } = require("../src/app");
+
+const app = createApp();
+
+test("GET / answers like the old backend", async () => {
+  const res = await request(app).get("/");
+  assert.equal(res.status, 200);
+  assert.equal(res.text, "ReplyPilot backend running");
+});
+
+test("GET /__whoami names the build", async () => {
+  const res = await request(app).get("/__whoami");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.match(res.body.stamp, /^replypilot-backend@/);
+});
+
+test("GET /status reports both sets of provider fields", async () => {
+  const res = await request(app).get("/status");
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "ok");
+  assert.equal(res.body.groqConfigured, false);
+  assert.equal(res.body.groqKey, false);
+  assert.equal(res.body.geminiKey, false);
+  assert.equal(res.body.usageStore, "memory");
+  assert.ok(res.body.routes.english.includes("template"));
+});
+
+test("GET /metrics serves Prometheus text", async () => {
+  const res = await request(app).get("/metrics");
+  assert.equal(res.status, 200);
+  assert.match(res.headers["content-type"], /^text\/plain/);
+});
+
+test("POST /api/generate-reply needs an API key", async () => {
+  const res = await request(app).post("/api/generate-reply").send({ reviewText: "Great product!" });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, "UNAUTHORIZED");
+});
+
+test("POST /api/generate-reply answers with the template when no provider is configured", async () => {
+  const auth = await createUser(app, "smoke_reply");
+  const res = await request(app)
+    .post("/api/generate-reply")
+    .set(auth)
+    .send({ reviewText: "Great product, fast delivery!", rating: 5 });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.engine, "template");
+  assert.equal(res.body.language, "english");
+  assert.ok(res.body.reply.length > 0);
+  assert.equal(res.body.usage.used, 1);
+});
+
+test("POST /api/generate-reply rejects an empty review", async () => {
+  const auth = await createUser(app, "smoke_empty");
+  const res = await request(app).post("/api/generate-reply").set(auth).send({ reviewText: "" });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "BAD_REQUEST");
+});
+
+test("unknown platforms, languages and tones are bad requests, not plan upgrades", async () => {
+  const auth = await createUser(app, "smoke_unknown", "free");
+  for (const option of [{ platform: "amazon" }, { language: "klingon" }, { language: "constructor" }, { tone: "sarcastic" }]) {
+    const res = await request(app)
+      .post("/api/generate-reply")
+      .set(auth)
+      .send({ reviewText: "Great product!", ...option });
+    assert.equal(res.status, 400, JSON.stringify(option));
+    assert.equal(res.body.error, "BAD_REQUEST");
+  }
+
+  const alias = await request(app).post("/api/generate-reply").set(auth).send({ reviewText: "Ang ganda po!", language: "Filipino" });
+  assert.equal(alias.status, 200);
+  assert.equal(alias.body.language, "tagalog");
+
+  const paid = await request(app).post("/api/generate-reply").set(auth).send({ reviewText: "Great!", platform: "tiktok" });
+  assert.equal(paid.status, 403);
+  assert.equal(paid.body.requiredPlan, "pro");
+});
+
+test("CSV rows with an unregistered SKU still get a reply", async () => {
+  const auth = await createUser(app, "smoke_csv_sku");
+  const res = await request(app)
+    .post("/api/generate-replies/csv")
+    .set(auth)
+    .set("Content-Type", "text/csv")
+    .send("Review,Rating,SKU\nGreat product!,5,SKU-123-RED\n");
+
+  assert.equal(res.status, 200);
+  const [header, row] = res.text.replace(/^\uFEFF/, "").trim().split(/\r?\n/);
+  assert.equal(header, "Review,Rating,SKU,reply,engine,language,error");
+  assert.ok(row.endsWith(",template,english,"), row);
+});
+
+test("/admin is closed without the admin key", async () => {
+  const res = await request(app).get("/admin/users");
+  assert.equal(res.status, 401);
+});
+
+test("unknown routes are 404", async () => {
+  const res = await request(app).get("/api/nope");
+  assert.equal(res.status, 404);
+});
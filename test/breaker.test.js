@@ -0,0 +1,40 @@
+// classifyProviderError decides how fast a breaker opens, so a misread error can take a
+// provider out of every chain. Messages below are shaped like the real SDK errors.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { classifyProviderError } = require("../src/breaker");
+
+const GEMINI_URL =
+  "[GoogleGenerativeAI Error]: Error fetching from " +
+  "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent: ";
+
+function providerError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+test("Gemini 5xx errors are plain errors, not quota", () => {
+  assert.equal(classifyProviderError(providerError(`${GEMINI_URL}[500 Internal Server Error] Internal error`, 500)), "error");
+  assert.equal(
+    classifyProviderError(providerError(`${GEMINI_URL}[503 Service Unavailable] The model is overloaded.`, 503)),
+    "error"
+  );
+  assert.equal(classifyProviderError(new Error("generate failed")), "error");
+});
+
+test("quota and rate-limit wording is still quota", () => {
+  assert.equal(
+    classifyProviderError(providerError(`${GEMINI_URL}[429 Too Many Requests] Resource has been exhausted.`, 429)),
+    "quota"
+  );
+  assert.equal(classifyProviderError(new Error("You exceeded your current quota")), "quota");
+  assert.equal(classifyProviderError(new Error("Rate limit reached for model llama-3.3-70b")), "quota");
+  assert.equal(classifyProviderError(new Error("billing hard limit reached")), "quota");
+});
+
+test("auth, bad model and timeout keep their kinds", () => {
+  assert.equal(classifyProviderError(providerError("Invalid API Key", 401)), "auth");
+  assert.equal(classifyProviderError(providerError(`${GEMINI_URL}[404 Not Found] models/x is not found`, 404)), "bad_model");
+  assert.equal(classifyProviderError(Object.assign(new Error("groq timed out after 20000ms"), { _timeout: true })), "timeout");
+});
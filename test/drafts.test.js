@@ -0,0 +1,191 @@
+// Draft approval workflow through the fake posting adapter: transitions, bulk actions,
+// auto-approve rules and failed posts. Reviews arrive through POST /api/ingest/shopee and
+// are drafted by the job queue; groq is stubbed so drafts are not template replies.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { ADMIN, createUser, sleep } = require("./helpers");
+const { createApp } = require("../src/app");
+const { providers } = require("../src/providers");
+const { POSTING_ADAPTERS } = require("../src/approval");
+
+const STUB_REPLY = "Thank you so much for your order! We are glad you like it.";
+Object.assign(providers.groq, { configured: () => true, generate: async () => STUB_REPLY });
+
+const app = createApp();
+
+function shopeeComment(id, rating, comment) {
+  return { comment_id: id, order_sn: `ord_${id}`, item_id: 9001, rating_star: rating, comment, buyer_username: "buyer" };
+}
+
+// Ingests the comments and waits until the job queue has drafted every one of them.
+async function ingestDrafts(auth, comments) {
+  const res = await request(app).post("/api/ingest/shopee").set(auth).send(comments);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.queued, comments.length);
+
+  for (let i = 0; i < 100; i++) {
+    const list = await request(app).get("/api/drafts").set(auth);
+    const drafts = list.body.drafts.filter((d) => comments.some((c) => d.reviewId === String(c.comment_id)));
+    if (drafts.length === comments.length) {
+      return comments.map((c) => drafts.find((d) => d.reviewId === String(c.comment_id)));
+    }
+    await sleep(20);
+  }
+  throw new Error("drafts were not created in time");
+}
+
+test("draft -> edited -> approved -> posted", async () => {
+  const auth = await createUser(app, "drafts_flow");
+  const [draft] = await ingestDrafts(auth, [shopeeComment(1, 5, "Great product, fast delivery!")]);
+  assert.equal(draft.status, "draft");
+  assert.ok(draft.reply.startsWith(STUB_REPLY));
+
+  const edited = await request(app)
+    .patch(`/api/drafts/${draft.id}`)
+    .set(auth)
+    .send({ reply: "Thank you for the lovely review! Enjoy your new item." });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.draft.status, "edited");
+  assert.equal(edited.body.draft.originalReply, draft.reply);
+
+  const approved = await request(app).post(`/api/drafts/${draft.id}/approve`).set(auth);
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.draft.status, "approved");
+  assert.equal(approved.body.draft.approvedBy, "seller");
+
+  const posted = await request(app).post(`/api/drafts/${draft.id}/post`).set(auth);
+  assert.equal(posted.status, 200);
+  assert.equal(posted.body.draft.status, "posted");
+  assert.match(posted.body.draft.externalId, /^fake_/);
+
+  const fake = await request(app).get("/admin/fake-posts").set(ADMIN);
+  assert.equal(fake.body.adapter, "fake");
+  const sent = fake.body.posts.find((p) => p.draftId === draft.id);
+  assert.equal(sent.reply, edited.body.draft.reply);
+  assert.equal(sent.reviewId, "1");
+});
+
+test("a seller edit keeps its wording and reports platform rules as warnings", async () => {
+  const auth = await createUser(app, "drafts_edit_rules");
+  const [draft] = await ingestDrafts(auth, [shopeeComment(61, 5, "Nice bag, fast delivery")]);
+
+  const wording = "Thanks so much! We love happy buyers. Follow our Facebook page for promos. See you again!";
+  const edited = await request(app).patch(`/api/drafts/${draft.id}`).set(auth).send({ reply: wording });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.draft.reply, wording);
+  assert.deepEqual(edited.body.warnings, ["too_many_sentences", "off_platform"]);
+
+  const long = "Thank you for your order. ".repeat(25).trim();
+  const trimmed = await request(app).patch(`/api/drafts/${draft.id}`).set(auth).send({ reply: long });
+  assert.ok(trimmed.body.draft.reply.length <= 500);
+  assert.ok(trimmed.body.warnings.includes("too_long"));
+});
+
+test("invalid transitions return 409", async () => {
+  const auth = await createUser(app, "drafts_invalid");
+  const [fresh, rejected] = await ingestDrafts(auth, [
+    shopeeComment(11, 4, "Good quality, thank you"),
+    shopeeComment(12, 4, "Nice item, as described"),
+  ]);
+
+  const early = await request(app).post(`/api/drafts/${fresh.id}/post`).set(auth);
+  assert.equal(early.status, 409);
+  assert.equal(early.body.error, "INVALID_STATUS");
+  assert.equal(early.body.status, "draft");
+
+  await request(app).post(`/api/drafts/${rejected.id}/reject`).set(auth).send({ reason: "off brand" }).expect(200);
+  const approve = await request(app).post(`/api/drafts/${rejected.id}/approve`).set(auth);
+  assert.equal(approve.status, 409);
+  const edit = await request(app).patch(`/api/drafts/${rejected.id}`).set(auth).send({ reply: "Thanks!" });
+  assert.equal(edit.status, 409);
+
+  await request(app).post(`/api/drafts/${fresh.id}/approve`).set(auth).send({ post: true }).expect(200);
+  const again = await request(app).post(`/api/drafts/${fresh.id}/post`).set(auth);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.status, "posted");
+});
+
+test("bulk approve", async () => {
+  const auth = await createUser(app, "drafts_bulk");
+  const drafts = await ingestDrafts(auth, [
+    shopeeComment(21, 5, "Love it, will buy again"),
+    shopeeComment(22, 5, "Super fast shipping"),
+    shopeeComment(23, 4, "Good value for money"),
+  ]);
+  const ids = drafts.map((d) => d.id);
+
+  const res = await request(app)
+    .post("/api/drafts/bulk")
+    .set(auth)
+    .send({ action: "approve", ids: [...ids, "dr_missing"] });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.succeeded, 3);
+  assert.deepEqual(
+    res.body.results.map((r) => [r.id, r.ok, r.status]),
+    [...ids.map((id) => [id, true, "approved"]), ["dr_missing", false, undefined]]
+  );
+  assert.equal(res.body.results[3].error, "DRAFT_NOT_FOUND");
+
+  for (const action of ["toString", "constructor", "edit"]) {
+    const bad = await request(app).post("/api/drafts/bulk").set(auth).send({ action, ids });
+    assert.equal(bad.status, 400, action);
+  }
+});
+
+test("an auto-approve rule approves matching drafts only", async () => {
+  const auth = await createUser(app, "drafts_rules");
+  const rules = await request(app)
+    .put("/api/approval-rules")
+    .set(auth)
+    .send({ rules: [{ name: "praise", minRating: 5, languages: ["english"], intents: ["praise"] }] });
+  assert.equal(rules.status, 200);
+
+  const [praise, complaint] = await ingestDrafts(auth, [
+    shopeeComment(31, 5, "Great product, fast delivery!"),
+    shopeeComment(32, 2, "The item arrived broken and late"),
+  ]);
+  assert.equal(praise.status, "approved");
+  assert.equal(praise.approvedBy, "rule:praise");
+  assert.equal(complaint.status, "draft");
+});
+
+test("a failed post leaves the draft approved with postError", async (t) => {
+  const auth = await createUser(app, "drafts_post_error");
+  const [draft] = await ingestDrafts(auth, [shopeeComment(41, 5, "Very happy with this")]);
+  await request(app).post(`/api/drafts/${draft.id}/approve`).set(auth).expect(200);
+
+  t.mock.method(POSTING_ADAPTERS.fake, "postReply", async () => {
+    throw new Error("marketplace unavailable");
+  });
+  const failed = await request(app).post(`/api/drafts/${draft.id}/post`).set(auth);
+  assert.equal(failed.status, 200);
+  assert.equal(failed.body.draft.status, "approved");
+  assert.equal(failed.body.draft.postError, "marketplace unavailable");
+
+  t.mock.restoreAll();
+  const retried = await request(app).post(`/api/drafts/${draft.id}/post`).set(auth);
+  assert.equal(retried.body.draft.status, "posted");
+  assert.equal(retried.body.draft.postError, null);
+});
+
+test("concurrent posts reply to the marketplace once", async (t) => {
+  const auth = await createUser(app, "drafts_double_post");
+  const [draft] = await ingestDrafts(auth, [shopeeComment(51, 5, "Exactly as pictured")]);
+  await request(app).post(`/api/drafts/${draft.id}/approve`).set(auth).expect(200);
+
+  const postReply = POSTING_ADAPTERS.fake.postReply;
+  t.mock.method(POSTING_ADAPTERS.fake, "postReply", async (d) => {
+    await sleep(50);
+    return postReply(d);
+  });
+  const results = await Promise.all([1, 2].map(() => request(app).post(`/api/drafts/${draft.id}/post`).set(auth)));
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 409]);
+  assert.equal(results.find((r) => r.status === 409).body.status, "posting");
+  assert.equal(POSTING_ADAPTERS.fake.postReply.mock.callCount(), 1);
+
+  const fake = await request(app).get("/admin/fake-posts").set(ADMIN);
+  assert.equal(fake.body.posts.filter((p) => p.draftId === draft.id).length, 1);
+});
@@ -0,0 +1,33 @@
+// Shared setup for the test files. Require this before anything from src/: the modules
+// read their settings from process.env when they are first loaded.
+
+process.env.USAGE_STORE = "memory";
+process.env.RECORD_STORE = "memory";
+process.env.JOBS_STORE = "memory";
+process.env.POSTING_ADAPTER = "fake";
+process.env.ADMIN_API_KEY = "test-admin";
+// Tests poll GET routes in a loop, which would otherwise trip the per-IP burst limit.
+process.env.RATE_LIMIT_IP_BURST = "1000";
+process.env.RATE_LIMIT_USER_BURST = "1000";
+// No provider keys: replies come from the template unless a test stubs a provider.
+delete process.env.GROQ_API_KEY;
+delete process.env.GEMINI_API_KEY;
+delete process.env.OPENAI_API_KEY;
+
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const ADMIN = { Authorization: "Bearer test-admin" };
+
+// Creates a user through the admin API and returns the header for its new API key.
+async function createUser(app, id, plan = "pro") {
+  const res = await request(app).post("/admin/users").set(ADMIN).send({ id, plan });
+  assert.equal(res.status, 201);
+  return { Authorization: `Bearer ${res.body.apiKey}` };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { ADMIN, createUser, sleep };
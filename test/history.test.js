@@ -0,0 +1,47 @@
+// Reply history is capped per user; pruning must only touch that user's overflow and write
+// the file store once, however many entries fall off.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.HISTORY_MAX_PER_USER = "3";
+require("./helpers");
+const { createRecordStore } = require("../src/stores");
+const { historyStore, saveReplyHistory } = require("../src/history");
+
+function save(userId, n) {
+  const input = { text: `Review ${n}`, productName: "", rating: 5, tone: "friendly", lang: "english", platform: "shopee" };
+  const id = saveReplyHistory(userId, input, { reply: `Reply ${n}`, engine: "template" });
+  historyStore.upsert(id, { createdAt: new Date(Date.UTC(2026, 0, 1, 0, 0, n)).toISOString() });
+  return id;
+}
+
+test("only the user's own oldest non-favorites are pruned", () => {
+  const other = save("history_other", 0);
+  const favorite = save("history_cap", 1);
+  historyStore.upsert(favorite, { favorite: true });
+  const ids = [2, 3, 4, 5, 6].map((n) => save("history_cap", n));
+
+  const kept = historyStore.list((e) => e.userId === "history_cap").map((e) => e.id);
+  assert.deepEqual(kept.sort(), [favorite, ...ids.slice(-3)].sort());
+  assert.ok(historyStore.get(other));
+});
+
+test("removeMany writes a file store once", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "replypilot-store-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createRecordStore("file", path.join(dir, "records.json"), "records");
+  ["a", "b", "c"].forEach((id) => store.upsert(id, { n: id }));
+
+  const rename = t.mock.method(fs, "renameSync");
+  assert.equal(store.removeMany(["a", "b", "missing"]), 2);
+  assert.equal(rename.mock.callCount(), 1);
+  assert.equal(store.removeMany(["missing"]), 0);
+  assert.equal(rename.mock.callCount(), 1);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, "records.json"), "utf8"));
+  assert.deepEqual(Object.keys(saved.records), ["c"]);
+});
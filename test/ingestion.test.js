@@ -0,0 +1,71 @@
+// Review ingestion must hold up against malformed webhook payloads and unknown platforms.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+
+const { ADMIN, createUser, sleep } = require("./helpers");
+const { createApp } = require("../src/app");
+
+const app = createApp();
+
+test("non-object items in a webhook payload are skipped", async () => {
+  const auth = await createUser(app, "ingest_malformed");
+  const res = await request(app)
+    .post("/api/ingest/shopee")
+    .set(auth)
+    .send([null, "review", 5, [], { comment_id: 1, rating_star: 5, comment: "Great product!" }]);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.received, 5);
+  assert.equal(res.body.skipped, 4);
+  assert.equal(res.body.queued, 1);
+});
+
+test("a review list that is not an array ingests nothing", async () => {
+  const auth = await createUser(app, "ingest_not_array");
+  const res = await request(app)
+    .post("/api/ingest/lazada")
+    .set(auth)
+    .send({ data: { review_list: "oops" } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.received, 0);
+});
+
+test("inherited object keys are not platforms", async () => {
+  const auth = await createUser(app, "ingest_platforms");
+  for (const platform of ["toString", "constructor", "__proto__"]) {
+    const put = await request(app).put(`/api/connectors/${platform}`).set(auth).send({ baseUrl: "http://localhost" });
+    assert.equal(put.status, 404, platform);
+    const ingest = await request(app).post(`/api/ingest/${platform}`).set(auth).send([]);
+    assert.equal(ingest.status, 404, platform);
+  }
+});
+
+// With no provider keys the chains hold only the template: no provider is called, no
+// breaker opens and nothing is retried as if an outage would pass.
+test("reviews get template drafts when no provider is configured", async () => {
+  const auth = await createUser(app, "ingest_no_keys");
+  for (const id of [101, 102, 103]) {
+    await request(app)
+      .post("/api/ingest/shopee")
+      .set(auth)
+      .send([{ comment_id: id, rating_star: 5, comment: "Great product, fast delivery!" }])
+      .expect(200);
+  }
+
+  let drafts = [];
+  for (let i = 0; i < 50 && drafts.length < 3; i++) {
+    await sleep(20);
+    drafts = (await request(app).get("/api/drafts").set(auth)).body.drafts;
+  }
+  assert.equal(drafts.length, 3);
+  assert.ok(drafts.every((d) => d.engine === "template"));
+
+  const jobs = (await request(app).get("/api/jobs?type=review-draft").set(auth)).body.jobs;
+  assert.ok(jobs.every((j) => j.status === "succeeded" && j.attempts === 1));
+
+  const breakers = (await request(app).get("/admin/breakers").set(ADMIN)).body.breakers;
+  assert.ok(Object.values(breakers).every((b) => b.state === "closed" && b.failures === 0));
+});
@@ -0,0 +1,42 @@
+// The job queue must dead-letter jobs it cannot run instead of crashing the process.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { sleep } = require("./helpers");
+const { enqueueJob, jobStore, registerJobHandler } = require("../src/jobs");
+
+async function waitForJob(id) {
+  for (let i = 0; i < 50; i++) {
+    const job = jobStore.get(id);
+    if (job.status !== "queued" && job.status !== "running") return job;
+    await sleep(10);
+  }
+  throw new Error("job did not finish in time");
+}
+
+test("a job with an unknown type is dead-lettered", async () => {
+  for (const type of ["no-such-type", "constructor"]) {
+    const job = await waitForJob(enqueueJob(type, "jobs_unknown", {}).id);
+    assert.equal(job.status, "dead", type);
+    assert.equal(job.error.error, "UNKNOWN_JOB_TYPE");
+  }
+});
+
+test("an onDead hook that throws does not take the queue down", async () => {
+  registerJobHandler("always-fails", {
+    run: async () => {
+      throw new Error("boom");
+    },
+    onDead: () => {
+      throw new Error("hook broke");
+    },
+  });
+  const dead = await waitForJob(enqueueJob("always-fails", "jobs_hook", {}).id);
+  assert.equal(dead.status, "dead");
+  assert.equal(dead.lastError, "boom");
+
+  registerJobHandler("works", { run: async () => ({ done: true }) });
+  const next = await waitForJob(enqueueJob("works", "jobs_hook", {}).id);
+  assert.deepEqual(next.result, { done: true });
+});
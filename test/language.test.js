@@ -0,0 +1,27 @@
+// The lexicons in src/language.js were tuned on corpus/language-detection.json, so a perfect
+// score there says little. The held-out corpus shows how the detector does on new reviews.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const { evaluateLanguageCorpus } = require("../src/language");
+
+const CORPUS_DIR = path.join(__dirname, "..", "corpus");
+const HOLDOUT_MIN_ACCURACY = 0.85;
+const HOLDOUT_MIN_LANGUAGE_ACCURACY = 0.6;
+
+test("every tuning sample is detected", () => {
+  const report = evaluateLanguageCorpus(path.join(CORPUS_DIR, "language-detection.json"));
+  assert.ok(report.total > 0);
+  assert.deepEqual(report.misses, []);
+});
+
+test("the held-out samples are mostly detected", () => {
+  const report = evaluateLanguageCorpus(path.join(CORPUS_DIR, "language-detection-holdout.json"));
+  assert.ok(report.total > 0);
+  assert.ok(report.correct / report.total >= HOLDOUT_MIN_ACCURACY, `${report.correct}/${report.total}`);
+  for (const [language, { total, correct }] of Object.entries(report.perLanguage)) {
+    assert.ok(correct / total >= HOLDOUT_MIN_LANGUAGE_ACCURACY, `${language}: ${correct}/${total}`);
+  }
+});
@@ -0,0 +1,45 @@
+// polishReply and validateReply run on every reply after the model answers.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { analyzeReview } = require("../src/analysis");
+const { polishReply, validateReply } = require("../src/polishing");
+
+test("the platform closing is added to happy replies only", () => {
+  const praise = analyzeReview("Great product, fast delivery!", 5);
+  assert.equal(
+    polishReply("Thank you for your order!", "english", null, "shopee", praise),
+    "Thank you for your order! Happy shopping!"
+  );
+
+  const complaint = analyzeReview("Item arrived broken", 1);
+  assert.equal(
+    polishReply("We are sorry the item arrived damaged. Please message us for a replacement.", "english", null, "shopee", complaint),
+    "We are sorry the item arrived damaged. Please message us for a replacement."
+  );
+});
+
+test("the date guardrail needs a real month and day", () => {
+  for (const reply of [
+    "We will ship on Dec 5.",
+    "Expect it by March 12th po.",
+    "Darating po sa May 5.",
+    "Your order ships May 20, 2025.",
+    "It will arrive within 3 days.",
+    "Delivery takes 2-3 days.",
+    "Ships 12/25.",
+  ]) {
+    assert.deepEqual(validateReply(reply).violations, ["date"], reply);
+  }
+
+  for (const reply of [
+    "May 3 sizes po available, message us anytime!",
+    "May 2 colors po kami, salamat!",
+    "Salamat po! May 5 star rating ka na sa amin.",
+    "Thank you for the decent 5 stars!",
+    "Best seller sa market 2 years na po.",
+  ]) {
+    assert.ok(!validateReply(reply).violations.includes("date"), reply);
+  }
+});